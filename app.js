@@ -20,6 +20,7 @@ class AlgoRaveApp {
         this.savedCodeHash = null; // Track if code has been modified since save
         this.isSaved = false; // Track if we just showed "Saved!" state
         this.lastEditorLength = 0; // Track code length to detect real changes
+        this.errorMarks = []; // Mini-notation error squiggles: { handle, mark }
         this.DEFAULT_CODE = `// PSYTRANCE SET - 140 BPM 🎵
 // 1. Click START first!
 // 2. Press Ctrl+Enter on each line to build the track
@@ -181,6 +182,7 @@ masterReset()`;
             indentWithTabs: false,
             lineWrapping: true,
             autofocus: true,
+            gutters: ['CodeMirror-linenumbers', 'notation-errors'],
             extraKeys: {
                 'Ctrl-Space': 'autocomplete'
             }
@@ -233,6 +235,14 @@ masterReset()`;
             this.saveCode();
         });
 
+        // Editing a line removes its error marks (they only apply to the evaluated text)
+        this.editor.on('change', (cm, change) => {
+            const lastLine = change.from.line + change.text.length - 1;
+            for (let line = change.from.line; line <= lastLine; line++) {
+                this.clearErrorMarks(line);
+            }
+        });
+
         // Reset save button only on user-initiated changes
         this.editor.on('beforeChange', (cm, change) => {
             if (change.origin === '+input' || change.origin === '+delete' || change.origin === 'paste') {
@@ -333,15 +343,62 @@ masterReset()`;
             // Control functions
             'hush': { text: 'hush()', displayText: 'hush() - Stop all patterns', hint: 'hush' },
             'silence': { text: 'silence()', displayText: 'silence() - Silence a slot', hint: 'silence' },
+            'setcps': { text: 'setcps(0.5)', displayText: 'setcps(cps) - Tempo in cycles per second', hint: 'setcps' },
+            'setbpm': { text: 'setbpm(128)', displayText: 'setbpm(bpm, beatsPerCycle) - Tempo in BPM', hint: 'setbpm' },
+            'tempoRamp': { text: 'tempoRamp(150, 8)', displayText: 'tempoRamp(bpm, cycles) - Gradual tempo change', hint: 'tempoRamp' },
+            'setquant': { text: 'setquant(4)', displayText: 'setquant(cycles) - When pattern changes launch (0 = now)', hint: 'setquant' },
 
             // Effects
             'fast': { text: '.fast(2)', displayText: '.fast(n) - Speed up n times', hint: 'fast' },
             'slow': { text: '.slow(2)', displayText: '.slow(n) - Slow down n times', hint: 'slow' },
             'rev': { text: '.rev()', displayText: '.rev() - Reverse pattern', hint: 'rev' },
-            'every': { text: '.every(4, fast(2))', displayText: '.every(n, effect) - Apply effect every n cycles', hint: 'every' },
-            'sometimes': { text: '.sometimes(fast(2))', displayText: '.sometimes(effect) - 50% chance', hint: 'sometimes' },
-            'rarely': { text: '.rarely(fast(2))', displayText: '.rarely(effect) - 25% chance', hint: 'rarely' },
-            'often': { text: '.often(fast(2))', displayText: '.often(effect) - 75% chance', hint: 'often' },
+            'every': { text: '.every(4, fast(2))', displayText: '.every(n, [offset,] effect) - Apply effect every n cycles', hint: 'every' },
+            'whenmod': { text: '.whenmod(8, 6, rev())', displayText: '.whenmod(a, b, effect) - When cycle mod a >= b', hint: 'whenmod' },
+            'within': { text: '.within([0, 0.5], fast(2))', displayText: '.within([start, end], effect) - Effect on part of the cycle', hint: 'within' },
+            'firstOf': { text: '.firstOf(4, rev())', displayText: '.firstOf(n, effect) - First cycle of every n', hint: 'firstOf' },
+            'lastOf': { text: '.lastOf(4, fast(2))', displayText: '.lastOf(n, effect) - Last cycle of every n', hint: 'lastOf' },
+            'chunk': { text: '.chunk(4, fast(2))', displayText: '.chunk(n, effect) - Effect on a moving part of the cycle', hint: 'chunk' },
+            'when': { text: '.when(c => c % 8 > 5, rev())', displayText: '.when(cycle => bool, effect) - Effect on matching cycles', hint: 'when' },
+            'sometimes': { text: '.sometimes(fast(2))', displayText: '.sometimes(effect) - 50% of the cycles', hint: 'sometimes' },
+            'rarely': { text: '.rarely(fast(2))', displayText: '.rarely(effect) - 25% of the cycles', hint: 'rarely' },
+            'often': { text: '.often(fast(2))', displayText: '.often(effect) - 75% of the cycles', hint: 'often' },
+            'sometimesBy': { text: '.sometimesBy(0.3, fast(2))', displayText: '.sometimesBy(p, effect) - Effect on each event with chance p', hint: 'sometimesBy' },
+            'degradeBy': { text: '.degradeBy(0.3)', displayText: '.degradeBy(p) - Drop each event with chance p', hint: 'degradeBy' },
+            'superimpose': { text: '.superimpose(fast(2))', displayText: '.superimpose(effect) - Play a transformed copy on top', hint: 'superimpose' },
+            'off': { text: '.off(0.125, fast(2))', displayText: '.off(cycles, effect) - Shifted, transformed copy on top', hint: 'off' },
+            'layer': { text: '.layer(rev(), fast(2))', displayText: '.layer(...effects) - Play several transformations together', hint: 'layer' },
+            'ply': { text: '.ply(2)', displayText: '.ply(n) - Repeat each event n times', hint: 'ply' },
+            'iter': { text: '.iter(4)', displayText: '.iter(n) - Start one step later each cycle', hint: 'iter' },
+            'palindrome': { text: '.palindrome()', displayText: '.palindrome() - Forwards then backwards', hint: 'palindrome' },
+            'rot': { text: '.rot(1)', displayText: '.rot(n) - Shift values by n steps, keep the rhythm', hint: 'rot' },
+            'linger': { text: '.linger(0.25)', displayText: '.linger(fraction) - Repeat the start of each cycle', hint: 'linger' },
+            'segment': { text: '.segment(8)', displayText: '.segment(n) - Sample the pattern n times per cycle', hint: 'segment' },
+            'range': { text: '.range(300, 3000)', displayText: '.range(min, max) - Scale 0-1 values to min-max', hint: 'range' },
+            'quantize': { text: '.quantize()', displayText: '.quantize(step) - Round values', hint: 'quantize' },
+            'add': { text: '.add("<0 12>")', displayText: '.add(n) - Add to notes or degrees', hint: 'add' },
+            'sub': { text: '.sub(12)', displayText: '.sub(n) - Subtract from notes or degrees', hint: 'sub' },
+            'transpose': { text: '.transpose("<0 5 7>")', displayText: '.transpose(semitones) - Transpose notes', hint: 'transpose' },
+            'octave': { text: '.octave(-1)', displayText: '.octave(n) - Move notes by octaves', hint: 'octave' },
+            'arp': { text: '.arp("<up down>")', displayText: '.arp(mode) - Play chord notes one by one', hint: 'arp' },
+            'voicing': { text: '.voicing()', displayText: '.voicing(anchor) - Smooth voice leading between chords', hint: 'voicing' },
+            'strum': { text: '.strum(0.25)', displayText: '.strum(amount) - Strum chord notes', hint: 'strum' },
+            'swing': { text: '.swing(1/3, 4)', displayText: '.swing(amount, subdivision) - Delay the off-beats', hint: 'swing' },
+            'shuffle': { text: '.shuffle(8)', displayText: '.shuffle(subdivision) - Triplet swing feel', hint: 'shuffle' },
+            'late': { text: '.late("0 0.01")', displayText: '.late(cycles) - Play events later than the grid', hint: 'late' },
+            'nudge': { text: '.nudge(0.01)', displayText: '.nudge(seconds) - Move events by seconds', hint: 'nudge' },
+
+            // Signals
+            'sine': { text: 'sine', displayText: 'sine - Smooth wave from 0 to 1 and back', hint: 'sine' },
+            'saw': { text: 'saw', displayText: 'saw - Ramp from 0 to 1 each cycle', hint: 'saw' },
+            'tri': { text: 'tri', displayText: 'tri - Up then down each cycle', hint: 'tri' },
+            'square': { text: 'square', displayText: 'square - 0 then 1 each cycle', hint: 'square' },
+            'rand': { text: 'rand', displayText: 'rand - Random value at each event', hint: 'rand' },
+            'perlin': { text: 'perlin', displayText: 'perlin - Smooth random drift', hint: 'perlin' },
+
+            // Combining patterns
+            'cat': { text: 'cat(s("bd*2"), s("hh*4"))', displayText: 'cat(...patterns) - One pattern per cycle', hint: 'cat' },
+            'fastcat': { text: 'fastcat(s("bd*2"), s("hh*4"))', displayText: 'fastcat(...patterns) - All patterns in one cycle', hint: 'fastcat' },
+            'seq': { text: 'seq("bd sd", "hh*4")', displayText: 'seq(...patterns) - Same as fastcat', hint: 'seq' },
 
             // Audio effects
             'gain': { text: '.gain(0.5)', displayText: '.gain(n) - Volume/gain', hint: 'gain' },
@@ -358,6 +415,7 @@ masterReset()`;
             'triangle': { text: '.s("triangle")', displayText: '"triangle" - Triangle wave', hint: 'triangle' },
             'fm': { text: '.s("fm")', displayText: '"fm" - FM synthesis', hint: 'fm' },
             'am': { text: '.s("am")', displayText: '"am" - AM synthesis', hint: 'am' },
+            'scale': { text: '.scale("c:minor")', displayText: '.scale("root:name") - Turn degrees "0 2 4" into notes', hint: 'scale' },
 
             // Drum samples
             'bd': { text: 's("bd")', displayText: '"bd"/"kick" - Bass drum', hint: 'bd' },
@@ -365,6 +423,7 @@ masterReset()`;
             'hh': { text: 's("hh")', displayText: '"hh"/"hihat" - Hi-hat', hint: 'hh' },
             'oh': { text: 's("oh")', displayText: '"oh"/"openhh" - Open hi-hat', hint: 'oh' },
             'cp': { text: 's("cp")', displayText: '"cp"/"clap" - Clap', hint: 'cp' },
+            'n': { text: '.n("0 1 2")', displayText: '.n(pattern) - Pick sample variations (bd:3 also works)', hint: 'n' },
 
             // Master effects
             'masterLPF': { text: 'masterLPF(800)', displayText: 'masterLPF(hz) - Master low-pass filter', hint: 'masterLPF' },
@@ -610,7 +669,8 @@ masterReset()`;
             this.stop();
         });
 
-        // BPM input
+        // BPM input (changes on the next beat, playback keeps going;
+        // the tempo display follows through window.updateTempoDisplay)
         document.getElementById('bpmInput').addEventListener('change', (e) => {
             const bpm = parseInt(e.target.value);
             if (bpm >= 60 && bpm <= 200) {
@@ -693,22 +753,41 @@ masterReset()`;
             document.getElementById('cycleCount').textContent = `cycle: ${cycle}`;
         };
 
+        // Update tempo display (setcps/setbpm from code or the BPM input)
+        window.updateTempoDisplay = (bpm, beatsPerCycle) => {
+            document.getElementById('bpmInput').value = Math.round(bpm);
+            document.getElementById('metronomeTempo').textContent = beatsPerCycle === 4
+                ? `${bpm} BPM`
+                : `${bpm} BPM ${beatsPerCycle}/cycle`;
+        };
+
         // Update active patterns display
-        window.updateActivePatterns = (patterns) => {
+        // Pending launches show a countdown in beats, like clips in a DAW
+        window.updateActivePatterns = (patterns, launches = new Map()) => {
             const container = document.getElementById('activePatterns');
             container.innerHTML = '';
 
-            if (patterns.size === 0) {
+            if (patterns.size === 0 && launches.size === 0) {
                 container.innerHTML = '<div class="pattern-item empty">No patterns running</div>';
                 return;
             }
 
             patterns.forEach((pattern, id) => {
+                if (launches.has(id)) return;
                 const div = document.createElement('div');
                 div.className = 'pattern-item';
                 div.textContent = pattern.toString();
                 container.appendChild(div);
             });
+
+            launches.forEach((launch, id) => {
+                const div = document.createElement('div');
+                div.className = 'pattern-item pending';
+                div.textContent = launch.pattern
+                    ? `⏳ ${launch.beats} ${id}: ${launch.pattern.toString()}`
+                    : `⏳ ${launch.beats} ${id}: stop`;
+                container.appendChild(div);
+            });
         };
     }
 
@@ -736,7 +815,8 @@ masterReset()`;
         if (!code.trim()) return;
 
         this.log(`> ${code}`, 'info');
-        const result = window.codeEvaluator.evaluate(code);
+        const result = window.codeEvaluator.evaluate(code, lineNumber);
+        this.clearErrorMarks(lineNumber);
 
         if (result.success) {
             this.log(result.message, 'success');
@@ -755,9 +835,53 @@ masterReset()`;
             }
         } else {
             this.log(result.message, 'error');
+            this.markError(lineNumber, result);
         }
     }
 
+    /**
+     * Mark a mini-notation error in the editor: squiggle under the faulty text
+     * and a marker in the gutter (hover either to see the message)
+     * @param {number} lineNumber - Editor line that was evaluated
+     * @param {Object} result - Failed evaluation result
+     */
+    markError(lineNumber, result) {
+        if (!result.location) return;
+
+        const line = lineNumber + result.location.line;
+        const message = result.error.message;
+
+        const mark = this.editor.markText(
+            { line, ch: result.location.from },
+            { line, ch: result.location.to },
+            { className: 'cm-notation-error', title: message }
+        );
+
+        const marker = document.createElement('div');
+        marker.className = 'notation-error-marker';
+        marker.textContent = '●';
+        marker.title = message;
+        this.editor.setGutterMarker(line, 'notation-errors', marker);
+
+        this.errorMarks.push({ handle: this.editor.getLineHandle(line), mark });
+    }
+
+    /**
+     * Remove error marks from a line
+     * @param {number} lineNumber - Editor line
+     */
+    clearErrorMarks(lineNumber) {
+        const handle = this.editor.getLineHandle(lineNumber);
+        if (!handle) return;
+
+        this.errorMarks = this.errorMarks.filter(entry => {
+            if (entry.handle !== handle) return true;
+            entry.mark.clear();
+            return false;
+        });
+        this.editor.setGutterMarker(handle, 'notation-errors', null);
+    }
+
     /**
      * Evaluate all code
      */
@@ -772,12 +896,14 @@ masterReset()`;
 
         lines.forEach((line, index) => {
             if (line.trim() && !line.trim().startsWith('//')) {
-                const result = window.codeEvaluator.evaluate(line);
+                const result = window.codeEvaluator.evaluate(line, index);
+                this.clearErrorMarks(index);
                 if (result.success) {
                     successCount++;
                 } else {
                     errorCount++;
                     this.log(`Line ${index + 1}: ${result.message}`, 'error');
+                    this.markError(index, result);
                 }
             }
         });
@@ -846,7 +972,8 @@ masterReset()`;
             const line = data.line;
             const lineNumber = data.lineNumber;
 
-            const result = window.codeEvaluator.evaluate(line);
+            const result = window.codeEvaluator.evaluate(line, lineNumber);
+            this.clearErrorMarks(lineNumber);
             if (result.success) {
                 successCount++;
                 this.log(`✓ ${line.trim().substring(0, 60)}`, 'success');
@@ -859,7 +986,8 @@ masterReset()`;
                 }
             } else {
                 errorCount++;
-                this.log(`✗ ${result.message}`, 'error');
+                this.log(`Line ${lineNumber + 1}: ${result.message}`, 'error');
+                this.markError(lineNumber, result);
             }
         }
 
@@ -945,9 +1073,8 @@ masterReset()`;
         document.querySelector('.status').classList.add('running');
 
         // Update BPM display after start
-        const tempoSpan = document.getElementById('metronomeTempo');
-        if (tempoSpan && window.scheduler) {
-            tempoSpan.textContent = `${window.scheduler.bpm} BPM`;
+        if (window.updateTempoDisplay && window.scheduler) {
+            window.updateTempoDisplay(window.scheduler.bpm, window.scheduler.beatsPerCycle);
         }
 
         // Start psychedelic visuals
@@ -1461,9 +1588,8 @@ masterReset()`;
     setupAudioInfo() {
         // Function to update BPM display
         const updateTempoDisplay = () => {
-            const tempoSpan = document.getElementById('metronomeTempo');
-            if (tempoSpan && window.scheduler && window.scheduler.bpm) {
-                tempoSpan.textContent = `${window.scheduler.bpm} BPM`;
+            if (window.updateTempoDisplay && window.scheduler && window.scheduler.bpm) {
+                window.updateTempoDisplay(window.scheduler.bpm, window.scheduler.beatsPerCycle);
             }
         };
 
@@ -1511,18 +1637,6 @@ masterReset()`;
             await originalStart();
             setTimeout(updateAudioInfo, 100);
         };
-
-        // Update tempo display when BPM changes
-        const bpmInput = document.getElementById('bpmInput');
-        if (bpmInput) {
-            bpmInput.addEventListener('change', (e) => {
-                const newBPM = parseInt(e.target.value);
-                if (window.scheduler) {
-                    window.scheduler.setBPM(newBPM);
-                    updateTempoDisplay();
-                }
-            });
-        }
     }
 }
 
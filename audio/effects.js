@@ -207,7 +207,7 @@ class EffectsEngine {
      */
     applyEffects(pattern, source) {
         if (!this.initialized) return source;
-        return this.createEffectChain(pattern.effects, source);
+        return this.createEffectChain(pattern.effectsAt(0), source);
     }
 
     /**
@@ -368,14 +368,60 @@ class SampleLibrary {
         });
     }
 
+    /**
+     * Get the loaded variations of a sound, in index order
+     * Uses the same grouping as sampleConfig.drums: 'bd' (or 'kick') -> kick1..kick5
+     * @param {string} name - Base sound name (e.g. "bd", "kick", "hh")
+     * @returns {Array<string>} Loaded sample names
+     */
+    getBank(name) {
+        const lowerName = name.toLowerCase();
+        const drums = this.sampleConfig.drums;
+        const config = drums[lowerName] || Object.values(drums).find(c => c.aliases.includes(lowerName));
+
+        if (!config) {
+            return this.samples[lowerName] ? [lowerName] : [];
+        }
+
+        const bank = [];
+        for (let i = 1; i <= config.count; i++) {
+            // First loaded alias for this index (hh1, hh2, hat3...)
+            const found = config.aliases
+                .map(alias => `${alias}${i}`.toLowerCase())
+                .find(candidate => this.samples[candidate]);
+            if (found) {
+                bank.push(found);
+            }
+        }
+        return bank;
+    }
+
+    /**
+     * Resolve a variant index to a sample name (bd + 3 -> kick4)
+     * The index wraps around the number of loaded variations
+     * @param {string} name - Base sound name
+     * @param {number} index - Variant index (0-based)
+     * @returns {string} Sample name, or the original name if it has no bank
+     */
+    resolveVariant(name, index) {
+        const bank = this.getBank(name);
+        if (bank.length === 0) {
+            return name;
+        }
+        const wrapped = ((Math.floor(index) % bank.length) + bank.length) % bank.length;
+        return bank[wrapped];
+    }
+
     /**
      * Play a sample using pooled player with per-event effect chain
      * @param {string} name - Sample name
      * @param {number} time - When to play (Tone.js time)
      * @param {Object|number} effects - Effect settings OR gain value for backward compatibility
      *        {gain: 1.0, room: 0, delay: 0, lpf: null, hpf: null, pan: 0.5}
+     * @param {string} slotId - Slot for the analyser (d1, d2...)
+     * @param {number} index - Optional variant index (bd:3 or .n(3))
      */
-    play(name, time = '+0', effects = {gain: 1.0}, slotId = null) {
+    play(name, time = '+0', effects = {gain: 1.0}, slotId = null, index = null) {
         if (!this.loaded) {
             console.warn('SampleLibrary not loaded yet');
             return;
@@ -395,7 +441,12 @@ class SampleLibrary {
     // Check explicit synth prefix: if user wants synth, allow fallback even in SAMPLE_ONLY mode
     const SYNTH_PREFIX = 'synth:';
     const wantsSynth = lowerName.startsWith(SYNTH_PREFIX);
-    const requestedName = wantsSynth ? lowerName.slice(SYNTH_PREFIX.length) : lowerName;
+    let requestedName = wantsSynth ? lowerName.slice(SYNTH_PREFIX.length) : lowerName;
+
+    // Pick a numbered variation of the sound (bd:3, .n("0 1 2"))
+    if (!wantsSynth && index !== null && index !== undefined && !isNaN(index)) {
+        requestedName = this.resolveVariant(requestedName, index);
+    }
 
     // Check if we have a loaded buffer
     if (this.samples[requestedName]) {
@@ -1,16 +1,60 @@
 /**
  * AlgoSignalSound - Pattern Scheduler
- * Schedules and plays patterns using Tone.js Transport
+ * Schedules and plays patterns against the audio clock
+ *
+ * Look-ahead scheduling: a timer wakes up every few milliseconds and queries
+ * the patterns from where the last query stopped up to a short window past
+ * the audio clock. Events get exact audio times, so a busy main thread
+ * (editor redraws, visuals) delays the queries, never the sound.
  */
 
+// Query boundaries snap to 1/QUERY_RESOLUTION of a cycle
+// (keeps cycle positions small exact fractions)
+const QUERY_RESOLUTION = 960;
+
 class PatternScheduler {
     constructor() {
         this.patterns = new Map(); // id -> pattern
         this.currentCycle = 0;
-        this.bpm = 135;
         this.isPlaying = false;
         this.initialized = false;
-        this.metronomeInterval = null; // Timer pour le métronome
+        this.clock = null; // Look-ahead timer
+
+        // Every `interval` seconds, schedule events up to `lookAhead` seconds
+        // past the audio clock (the look-ahead must cover timer delays)
+        this.lookAhead = 0.1;
+        this.interval = 0.025;
+
+        // Cycle <-> audio time mapping: cycle `anchor.cycle` starts at `anchor.time`
+        this.anchor = { cycle: 0, time: 0 };
+        this.queriedUntil = new Fraction(0); // Cycle position scheduled so far
+
+        // Tempo: cycles per second is the source of truth, BPM derives from it
+        this.beatsPerCycle = 4;
+        this.cps = 135 / 60 / this.beatsPerCycle;
+
+        // Pending tempo changes {cycle, cps, beatsPerCycle}, in cycle order,
+        // applied when the scheduler reaches their cycle
+        this.tempoChanges = [];
+
+        // Launch quantum: new patterns start on the next multiple of this many
+        // cycles, like clip launching in a DAW (0 = immediately)
+        this.quantum = 1;
+        this.pendingPatterns = new Map(); // id -> {pattern, cycle}, null pattern = stop
+    }
+
+    /**
+     * Tempo in beats per minute (derived from cps and beats per cycle)
+     */
+    get bpm() {
+        return this.toBPM(this.cps, this.beatsPerCycle);
+    }
+
+    /**
+     * BPM of a tempo in cycles per second
+     */
+    toBPM(cps, beatsPerCycle = this.beatsPerCycle) {
+        return Math.round(cps * 60 * beatsPerCycle * 100) / 100;
     }
 
     /**
@@ -30,7 +74,7 @@ class PatternScheduler {
 
         // Transport still needed for synth note scheduling (for duration)
         // but we're NOT using scheduleRepeat for cycles
-        // Patterns are now triggered immediately from independent metronome timer
+        // Patterns are queried ahead of the audio clock by tick()
 
         this.initialized = true;
         console.log('Scheduler initialized');
@@ -39,30 +83,128 @@ class PatternScheduler {
     }
 
     /**
-     * Schedule all patterns for the current cycle
+     * Duration of one cycle in seconds
      */
-    scheduleCycle(time) {
-        this.currentCycle++;
+    getCycleDuration() {
+        return 1 / this.cps;
+    }
 
-        // Update parser cycle for alternation
-        window.parser.currentCycle = this.currentCycle;
-        
-        // Log every 4 cycles (reduce spam)
-        if (this.currentCycle % 4 === 0) {
-            console.log(`Cycle ${this.currentCycle} at time ${time.toFixed(2)}s`);
+    /**
+     * Cycle position currently heard (for visuals), 0 when stopped
+     * @returns {number} Position in cycles
+     */
+    getCyclePosition() {
+        if (!this.isPlaying) return 0;
+        return Math.max(0, this.cycleAt(Tone.context.currentTime));
+    }
+
+    /**
+     * Audio time at which a cycle position plays
+     * @param {Fraction|number} cycle - Position in cycles
+     * @returns {number} Audio time in seconds
+     */
+    timeAt(cycle) {
+        return this.anchor.time + (Number(cycle) - this.anchor.cycle) * this.getCycleDuration();
+    }
+
+    /**
+     * Cycle position playing at an audio time
+     * @param {number} time - Audio time in seconds
+     * @returns {number} Position in cycles
+     */
+    cycleAt(time) {
+        return this.anchor.cycle + (time - this.anchor.time) / this.getCycleDuration();
+    }
+
+    /**
+     * Look-ahead tick: schedule everything between the last query and
+     * the end of the look-ahead window
+     */
+    tick() {
+        const now = Tone.now();
+        const snap = cycle => new Fraction(Math.floor(cycle * QUERY_RESOLUTION), QUERY_RESOLUTION);
+
+        // After a stall (e.g. a background tab), skip what can no longer play on time
+        const begin = this.queriedUntil.max(snap(this.cycleAt(now)));
+
+        // Tempo changes and pattern launches take effect once everything
+        // before them is scheduled
+        while (this.tempoChanges.length > 0 && this.tempoChanges[0].cycle.lte(begin)) {
+            this.applyTempoChange(this.tempoChanges.shift());
+        }
+        this.pendingPatterns.forEach((launch, id) => {
+            if (launch.cycle.lte(begin)) {
+                this.launchPattern(id, launch);
+            }
+        });
+
+        // Never schedule past a pending change with the old tempo or patterns
+        let end = snap(this.cycleAt(now + this.lookAhead));
+        if (this.tempoChanges.length > 0) {
+            end = end.min(this.tempoChanges[0].cycle);
+        }
+        this.pendingPatterns.forEach(launch => {
+            end = end.min(launch.cycle);
+        });
+        if (end.lte(begin)) return;
+
+        this.scheduleSpan(begin, end);
+        this.queriedUntil = end;
+    }
+
+    /**
+     * Schedule all patterns, metronome beats and cycle changes of a span
+     * @param {Fraction} begin - Span start in cycles
+     * @param {Fraction} end - Span end in cycles (exclusive)
+     */
+    scheduleSpan(begin, end) {
+        // Beats inside the span, shown when they sound
+        const beats = this.beatsPerCycle;
+        for (let beat = begin.mul(beats).ceil(); end.mul(beats).gt(beat); beat++) {
+            Tone.Draw.schedule(() => {
+                this.pulseMetronome();
+                if (beat % beats === 0) {
+                    this.onCycle(beat / beats);
+                }
+                // Launch countdowns tick down with the beats
+                if (this.pendingPatterns.size > 0) {
+                    this.updatePatternsDisplay();
+                }
+            }, this.timeAt(beat / beats));
         }
 
         // Schedule each pattern
         this.patterns.forEach((pattern, id) => {
             // Safety check: ensure pattern is valid
-            if (pattern && typeof pattern.getEventsForCycle === 'function') {
-                this.schedulePattern(pattern, time, this.currentCycle, id);
+            if (pattern && typeof pattern.queryArc === 'function') {
+                try {
+                    this.schedulePattern(pattern, begin, end, id);
+                } catch (e) {
+                    // Mute the failing slot: the span still counts as scheduled,
+                    // so the other slots neither repeat nor stop
+                    console.error(`Error playing ${id}, slot muted:`, e);
+                    this.patterns.delete(id);
+                    this.updatePatternsDisplay();
+                }
             }
         });
+    }
+
+    /**
+     * A new cycle starts sounding
+     * @param {number} cycle - Cycle number
+     */
+    onCycle(cycle) {
+        this.currentCycle = cycle;
+
+        // Log every 4 cycles (reduce spam)
+        if (cycle % 4 === 0) {
+            console.log(`Cycle ${cycle} at time ${this.timeAt(cycle).toFixed(2)}s`);
+        }
 
         // Update UI
         if (window.updateCycleDisplay) {
-            window.updateCycleDisplay(this.currentCycle);
+            window.updateCycleDisplay(cycle);
         }
     }
 
@@ -96,32 +238,43 @@ class PatternScheduler {
 
     /**
      * Schedule a single pattern's events
+     * @param {Pattern} pattern - Pattern to play
+     * @param {Fraction} begin - Span start in cycles
+     * @param {Fraction} end - Span end in cycles (exclusive)
+     * @param {string} slotId - Slot playing the pattern
      */
-    schedulePattern(pattern, time, cycleNumber, slotId) {
-        const events = pattern.getEventsForCycle(cycleNumber);
-
-        // Pass the complete effects object (including gain, room, delay, lpf, hpf, pan)
-        const effects = pattern.effects || { gain: 1.0 };
-
-        // Calculate exact timing for each event within the cycle
-        // At 135 BPM: 1 beat = 0.444s, so event.time (0-1) maps to 0-1.778s
-        const beatDuration = 60 / this.bpm; // seconds per beat
-        const cycleDuration = beatDuration * 4; // 4 beats per cycle
+    schedulePattern(pattern, begin, end, slotId) {
+        const events = pattern.queryArc(begin, end);
+        const cycleDuration = this.getCycleDuration();
+        const now = Tone.now();
 
         events.forEach(event => {
-            // Calculate offset from cycle start in seconds
-            const offset = event.time * cycleDuration;
-            const eventTime = time + offset;
-            const duration = event.duration * cycleDuration; // in seconds
+            // Complete effects object (gain, room, delay, lpf, hpf, pan) for this event:
+            // patterned values like .lpf("400 800") are read at the event onset,
+            // events from stack() layers bring their own type, synth and effects
+            const effects = pattern.effectsFor(event, event.time);
+            const type = event.type || pattern.type;
+
+            // Audio time of the onset (event time/duration are exact Fractions of
+            // a cycle until here), plus the micro-timing of swing/late (cycles)
+            // and nudge (seconds)
+            const onset = this.timeAt(event.time.add(event.offset || 0)) + (event.nudge || 0);
+            const eventTime = Math.max(now, onset);
+            const duration = Number(event.duration) * cycleDuration; // in seconds
+
+            if (type === 'sound') {
+                // Numbers (unscaled degrees, signal values) are not sample names
+                if (typeof event.sound !== 'string') {
+                    return;
+                }
 
-            if (pattern.type === 'sound') {
                 // Play sample/drum with complete effects and duration for timing
                 // Store duration in effects object for fallback synths
                 const effectsWithDuration = { ...effects, _duration: duration };
-                window.sampleLibrary.play(event.sound, eventTime, effectsWithDuration, slotId);
-            } else if (pattern.type === 'note') {
+                window.sampleLibrary.play(event.sound, eventTime, effectsWithDuration, slotId, event.n);
+            } else if (type === 'note') {
                 // Play note with synth and complete effects
-                const synthType = pattern.synthType || 'sawtooth';
+                const synthType = pattern.synthType || event.synthType || 'sawtooth';
                 const midiNote = typeof event.sound === 'number'
                     ? event.sound
                     : window.parser.parseNote(event.sound);
@@ -135,42 +288,137 @@ class PatternScheduler {
                     slotId
                 );
             }
+
+            // Light up the token that produced this event
+            if (event.location) {
+                this.flashEvent(event.location, eventTime, duration, slotId);
+            }
         });
     }
 
+    /**
+     * Flash an event's token in the editor when it actually sounds
+     * @param {Object} location - Event location {line, start, end}
+     * @param {number} time - Audio time of the event
+     * @param {number} duration - Event duration in seconds
+     * @param {string} slotId - Slot playing the event
+     */
+    flashEvent(location, time, duration, slotId) {
+        const editorEffects = window.app && window.app.editorEffects;
+        if (!editorEffects) return;
+
+        // Tone.Draw runs the callback on the animation frame closest to the audio time
+        Tone.Draw.schedule(() => {
+            editorEffects.flashToken(location, slotId, duration);
+        }, time);
+    }
+
     /**
      * Add or update a pattern
+     * While playing, the pattern starts on the next launch boundary
+     * @param {string} id - Slot id (d1, d2...)
+     * @param {Pattern} pattern - Pattern to play
+     * @param {number} quantum - Launch quantum in cycles (global quantum by default, 0 = now)
      */
-    setPattern(id, pattern) {
-        this.patterns.set(id, pattern);
-        console.log(`Pattern ${id} registered:`, pattern.toString());
+    setPattern(id, pattern, quantum = this.quantum) {
+        const cycle = this.launchCycle(quantum);
+        if (cycle) {
+            this.pendingPatterns.set(id, { pattern, cycle });
+            console.log(`Pattern ${id} launches at cycle ${cycle}:`, pattern.toString());
+        } else {
+            this.pendingPatterns.delete(id);
+            this.patterns.set(id, pattern);
+            console.log(`Pattern ${id} registered:`, pattern.toString());
+        }
 
         // Update active patterns display
-        if (window.updateActivePatterns) {
-            window.updateActivePatterns(this.patterns);
-        }
+        this.updatePatternsDisplay();
     }
 
     /**
-     * Remove a pattern
+     * Remove a pattern (on the next launch boundary while playing)
+     * @param {string} id - Slot id
+     * @param {number} quantum - Launch quantum in cycles (global quantum by default, 0 = now)
      */
-    removePattern(id) {
-        this.patterns.delete(id);
-
-        if (window.updateActivePatterns) {
-            window.updateActivePatterns(this.patterns);
+    removePattern(id, quantum = this.quantum) {
+        const cycle = this.launchCycle(quantum);
+        if (cycle && this.patterns.has(id)) {
+            this.pendingPatterns.set(id, { pattern: null, cycle });
+        } else {
+            this.pendingPatterns.delete(id);
+            this.patterns.delete(id);
         }
+
+        this.updatePatternsDisplay();
     }
 
     /**
-     * Clear all patterns
+     * Clear all patterns (immediately, pending launches included)
      */
     clearPatterns() {
         this.patterns.clear();
+        this.pendingPatterns.clear();
+
+        this.updatePatternsDisplay();
+    }
+
+    /**
+     * Set the global launch quantum
+     * @param {number} quantum - Cycles (1 = next cycle, 4 = next 4-cycle bar, 0 = immediately)
+     */
+    setQuantum(quantum) {
+        checkQuantum(quantum);
+        this.quantum = quantum;
+    }
 
-        if (window.updateActivePatterns) {
-            window.updateActivePatterns(this.patterns);
+    /**
+     * Cycle at which a pattern change launches: the first multiple of the
+     * quantum that hasn't been scheduled yet
+     * @param {number} quantum - Launch quantum in cycles
+     * @returns {Fraction|null} Launch cycle, null to swap immediately
+     */
+    launchCycle(quantum) {
+        checkQuantum(quantum);
+        if (!this.isPlaying || quantum === 0) {
+            return null;
         }
+        const step = Fraction.from(quantum);
+        return step.mul(this.queriedUntil.div(step).ceil());
+    }
+
+    /**
+     * Swap in a pending pattern (or stop its slot)
+     * @param {string} id - Slot id
+     * @param {Object} launch - {pattern, cycle}
+     */
+    launchPattern(id, launch) {
+        this.pendingPatterns.delete(id);
+        if (launch.pattern) {
+            this.patterns.set(id, launch.pattern);
+        } else {
+            this.patterns.delete(id);
+        }
+
+        // Show the change when it is heard
+        if (this.isPlaying) {
+            Tone.Draw.schedule(() => this.updatePatternsDisplay(), this.timeAt(launch.cycle));
+        }
+    }
+
+    /**
+     * Refresh the active patterns panel, with launch countdowns (in beats)
+     */
+    updatePatternsDisplay() {
+        if (!window.updateActivePatterns) return;
+
+        const position = this.getCyclePosition();
+        const launches = new Map();
+        this.pendingPatterns.forEach((launch, id) => {
+            const beats = Math.max(1, Math.ceil((Number(launch.cycle) - position) * this.beatsPerCycle));
+            launches.set(id, { pattern: launch.pattern, beats });
+        });
+
+        window.updateActivePatterns(this.patterns, launches);
     }
 
     /**
@@ -187,43 +435,15 @@ class PatternScheduler {
         this.isPlaying = true;
         this.currentCycle = 0;
 
-        // Start a high-precision metronome timer with drift compensation
-        // At 135 BPM: 1 beat = 444ms (pulse 4 times per measure)
-        const beatDurationMs = 60000 / this.bpm; // milliseconds per beat
-        const cycleDurationMs = beatDurationMs * 4; // 4 beats per cycle
-        
-        // Use high-precision timing with drift correction
-        let beatCounter = 0;
-        let expectedTime = Date.now() + beatDurationMs;
-        
-        const tick = () => {
-            if (!this.isPlaying) return;
-            
-            const now = Date.now();
-            const drift = now - expectedTime;
-            
-            // Pulse LED on every beat
-            this.pulseMetronome();
-            
-            // Trigger cycle pattern only on beat 1 of 4
-            beatCounter++;
-            if (beatCounter >= 4) {
-                beatCounter = 0;
-                // Use immediate time - let Tone.js handle the minimal scheduling needed
-                this.scheduleCycle(Tone.now());
-            }
-            
-            // Schedule next tick with drift compensation
-            expectedTime += beatDurationMs;
-            const nextInterval = Math.max(0, beatDurationMs - drift);
-            this.metronomeInterval = setTimeout(tick, nextInterval);
-        };
-        
-        // Start the first tick
-        this.metronomeInterval = setTimeout(tick, beatDurationMs);
+        // Cycle 0 starts one tick from now, leaving time to schedule its first events
+        this.anchor = { cycle: 0, time: Tone.now() + this.interval };
+        this.queriedUntil = new Fraction(0);
+
+        this.tick();
+        this.clock = setInterval(() => this.tick(), this.interval * 1000);
 
         console.log('Playback started');
-        console.log(`Metronome interval: ${cycleDurationMs.toFixed(0)}ms at ${this.bpm} BPM`);
+        console.log(`Look-ahead: ${this.lookAhead * 1000}ms every ${this.interval * 1000}ms at ${this.bpm} BPM`);
     }
 
     /**
@@ -236,34 +456,122 @@ class PatternScheduler {
         this.isPlaying = false;
         this.currentCycle = 0;
 
-        // Stop the metronome timer
-        if (this.metronomeInterval) {
-            clearTimeout(this.metronomeInterval);
-            this.metronomeInterval = null;
+        // Stop the look-ahead timer and pending LED/editor updates
+        if (this.clock) {
+            clearInterval(this.clock);
+            this.clock = null;
+        }
+        Tone.Draw.cancel(0);
+
+        // Pending tempo changes (or the end of a ramp) apply right away
+        if (this.tempoChanges.length > 0) {
+            this.applyTempoChange(this.tempoChanges.pop());
+            this.tempoChanges = [];
         }
 
+        // Pending launches too
+        this.pendingPatterns.forEach((launch, id) => this.launchPattern(id, launch));
+        this.updatePatternsDisplay();
+
         console.log('Playback stopped');
     }
 
     /**
-     * Set BPM
+     * Set the tempo in cycles per second. While playing, the change happens
+     * on the next beat that isn't scheduled yet, without resetting the cycle.
+     * @param {number} cps - Cycles per second (0.5625 = 135 BPM in 4/4)
+     * @param {number} beatsPerCycle - Beats in one cycle (unchanged by default)
      */
-    setBPM(bpm) {
-        this.bpm = Math.max(60, Math.min(200, bpm));
-        Tone.Transport.bpm.value = this.bpm;
-        
-        // If playing, restart the metronome with new BPM
-        // Just stop and restart - the new timing will be picked up automatically
+    setCps(cps, beatsPerCycle = this.beatsPerCycle) {
+        if (!(cps > 0) || !isFinite(cps)) {
+            throw new Error(`setcps() needs a positive number of cycles per second, got ${cps}`);
+        }
+
+        // A new tempo replaces any pending change or ramp
+        this.tempoChanges = [];
+        const change = { cycle: this.nextBeat(), cps, beatsPerCycle };
         if (this.isPlaying) {
-            const wasPlaying = true;
-            this.stop();
-            if (wasPlaying) {
-                // Use setTimeout to ensure clean restart
-                setTimeout(() => this.start(), 10);
+            this.tempoChanges.push(change);
+        } else {
+            this.applyTempoChange(change);
+        }
+    }
+
+    /**
+     * Set BPM, optionally with a new bar length (3 for 3/4, 7 for 7/8...)
+     * @param {number} bpm - Beats per minute (60-200)
+     * @param {number} beatsPerCycle - Beats in one cycle
+     */
+    setBPM(bpm, beatsPerCycle = this.beatsPerCycle) {
+        if (!Number.isInteger(beatsPerCycle) || beatsPerCycle < 1) {
+            throw new Error(`setbpm() needs a whole number of beats per cycle, got ${beatsPerCycle}`);
+        }
+        this.setCps(Math.max(60, Math.min(200, bpm)) / 60 / beatsPerCycle, beatsPerCycle);
+    }
+
+    /**
+     * Move the tempo gradually to a target BPM, one step per beat
+     * @param {number} targetBpm - BPM at the end of the ramp (60-200)
+     * @param {number} cycles - Length of the ramp in cycles
+     */
+    tempoRamp(targetBpm, cycles) {
+        if (!(targetBpm > 0) || !isFinite(targetBpm)) {
+            throw new Error(`tempoRamp() needs a positive target BPM, got ${targetBpm}`);
+        }
+        if (!(cycles > 0) || !isFinite(cycles)) {
+            throw new Error(`tempoRamp() needs a positive number of cycles, got ${cycles}`);
+        }
+
+        const beats = this.beatsPerCycle;
+        const from = this.cps;
+        const to = Math.max(60, Math.min(200, targetBpm)) / 60 / beats;
+        if (!this.isPlaying) {
+            this.setCps(to);
+            return;
+        }
+
+        const start = this.nextBeat();
+        const steps = Math.max(1, Math.round(cycles * beats));
+        this.tempoChanges = Array.from({ length: steps }, (_, i) => ({
+            cycle: start.add(new Fraction(i, beats)),
+            cps: from + (to - from) * (i + 1) / steps,
+            beatsPerCycle: beats
+        }));
+    }
+
+    /**
+     * First beat that hasn't been scheduled yet
+     * @returns {Fraction} Cycle position of the beat
+     */
+    nextBeat() {
+        const beats = this.beatsPerCycle;
+        return new Fraction(this.queriedUntil.mul(beats).ceil(), beats);
+    }
+
+    /**
+     * Switch to a new tempo from a cycle position on, keeping the cycle
+     * count and every event scheduled before it in place
+     * @param {Object} change - {cycle, cps, beatsPerCycle}
+     */
+    applyTempoChange(change) {
+        if (this.isPlaying) {
+            this.anchor = { cycle: Number(change.cycle), time: this.timeAt(change.cycle) };
+        }
+        this.cps = change.cps;
+        this.beatsPerCycle = change.beatsPerCycle;
+        Tone.Transport.bpm.value = this.bpm;
+
+        // Show the new tempo when it is heard
+        const { bpm, beatsPerCycle } = this;
+        if (window.updateTempoDisplay) {
+            if (this.isPlaying) {
+                Tone.Draw.schedule(() => window.updateTempoDisplay(bpm, beatsPerCycle), this.anchor.time);
+            } else {
+                window.updateTempoDisplay(bpm, beatsPerCycle);
             }
         }
-        
-        console.log(`BPM set to ${this.bpm}`);
+
+        console.log(`Tempo set to ${this.cps.toFixed(4)} cps (${bpm} BPM, ${beatsPerCycle} beats per cycle)`);
     }
 
     /**
@@ -273,11 +581,22 @@ class PatternScheduler {
         return {
             isPlaying: this.isPlaying,
             bpm: this.bpm,
+            cps: this.cps,
+            beatsPerCycle: this.beatsPerCycle,
             currentCycle: this.currentCycle,
             patternCount: this.patterns.size
         };
     }
 }
 
+/**
+ * Check a launch quantum (0 or a positive number of cycles)
+ */
+function checkQuantum(quantum) {
+    if (!(quantum >= 0) || !isFinite(quantum)) {
+        throw new Error(`Launch quantum must be 0 or a positive number of cycles, got ${quantum}`);
+    }
+}
+
 // Create global instance
 window.scheduler = new PatternScheduler();
@@ -0,0 +1,153 @@
+/**
+ * AlgoSignalSound - Fraction
+ * Exact rational numbers for pattern time
+ *
+ * Event times and durations are measured in cycles. Floats can't represent
+ * 1/3 or 1/12 exactly, so triplets and fast(3) drift and events can land on
+ * both sides of a cycle edge. Fractions keep time exact; they only become
+ * seconds in the scheduler. valueOf() keeps plain arithmetic working
+ * (fraction * seconds gives a number).
+ */
+
+class Fraction {
+    /**
+     * @param {number} numerator - Integer numerator
+     * @param {number} denominator - Integer denominator (not 0)
+     */
+    constructor(numerator, denominator = 1) {
+        if (denominator === 0) {
+            throw new Error('Fraction with a zero denominator');
+        }
+
+        // Normalized: lowest terms, sign on the numerator
+        const divisor = gcd(numerator, denominator) * Math.sign(denominator);
+        this.n = numerator / divisor + 0; // + 0 turns -0 into 0
+        this.d = denominator / divisor;
+    }
+
+    /**
+     * Convert a value to a Fraction
+     * @param {Fraction|number|string} value - Fraction, number (1.5) or string ("1/3", "0.25")
+     * @returns {Fraction}
+     */
+    static from(value) {
+        if (value instanceof Fraction) {
+            return value;
+        }
+        if (typeof value === 'string' && value.includes('/')) {
+            const [numerator, denominator] = value.split('/').map(Number);
+            return Fraction.from(numerator).div(denominator);
+        }
+        return Fraction.fromNumber(Number(value));
+    }
+
+    /**
+     * Closest fraction to a float (exact for integers and decimal literals like 0.1)
+     * @param {number} x - Finite number
+     * @returns {Fraction}
+     */
+    static fromNumber(x) {
+        if (!isFinite(x)) {
+            throw new Error(`Cannot use ${x} as a time value`);
+        }
+        if (Number.isInteger(x)) {
+            return new Fraction(x, 1);
+        }
+
+        // Continued fraction expansion until the float is matched
+        let [h, hPrev, k, kPrev] = [1, 0, 0, 1];
+        let rest = x;
+        for (let i = 0; i < 64; i++) {
+            const a = Math.floor(rest);
+            [h, hPrev] = [a * h + hPrev, h];
+            [k, kPrev] = [a * k + kPrev, k];
+            if (Math.abs(x - h / k) < 1e-12 || k > 1e9 || rest === a) {
+                break;
+            }
+            rest = 1 / (rest - a);
+        }
+        return new Fraction(h, k);
+    }
+
+    add(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d + o.n * this.d, this.d * o.d);
+    }
+
+    sub(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d - o.n * this.d, this.d * o.d);
+    }
+
+    mul(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.n, this.d * o.d);
+    }
+
+    div(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d, this.d * o.n);
+    }
+
+    /**
+     * Largest integer not greater than the fraction
+     * @returns {number}
+     */
+    floor() {
+        return Math.floor(this.n / this.d);
+    }
+
+    /**
+     * Smallest integer not less than the fraction
+     * @returns {number}
+     */
+    ceil() {
+        return -Math.floor(-this.n / this.d);
+    }
+
+    /**
+     * Compare with another value
+     * @returns {number} -1, 0 or 1
+     */
+    compare(other) {
+        const o = Fraction.from(other);
+        return Math.sign(this.n * o.d - o.n * this.d);
+    }
+
+    eq(other) { return this.compare(other) === 0; }
+    lt(other) { return this.compare(other) < 0; }
+    lte(other) { return this.compare(other) <= 0; }
+    gt(other) { return this.compare(other) > 0; }
+    gte(other) { return this.compare(other) >= 0; }
+
+    min(other) {
+        return this.lte(other) ? this : Fraction.from(other);
+    }
+
+    max(other) {
+        return this.gte(other) ? this : Fraction.from(other);
+    }
+
+    valueOf() {
+        return this.n / this.d;
+    }
+
+    toString() {
+        return this.d === 1 ? `${this.n}` : `${this.n}/${this.d}`;
+    }
+}
+
+/**
+ * Greatest common divisor of two integers (always positive)
+ */
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a || 1;
+}
+
+// Make available globally
+window.Fraction = Fraction;
@@ -6,101 +6,681 @@
  * "bd sd" -> [bd, sd]
  * "bd*4" -> [bd, bd, bd, bd]
  * "bd ~ sd" -> [bd, rest, sd]
+ * "bd [sd sd] hh" -> the two sd share the second step
  * "<bd sd> hh" -> alternates between [bd, hh] and [sd, hh]
+ * "<bd [sd cp]> hh" -> groups can be nested at any depth
+ * "[bd sd]*2" / "<a b>/2" -> operators apply to whole groups
+ * "[bd*2, hh*3]" -> comma-separated layers play together (polyrhythm)
+ * "{bd sd hh, cp lt}" -> polymeter: every layer moves at the first layer's step rate
+ * "{bd sd hh}%4" -> polymeter with 4 steps per cycle
+ * "bd(3,8)" / "hh(5,8,2)" -> euclidean rhythm (pulses, steps, rotation)
+ * "bd:3" -> fourth sample of the bd bank (index wraps around the bank size)
+ * "bd@3 sd" -> bd lasts three times as long as sd
+ * "bd!3 sd" / "bd ! ! sd" -> repeat a step without subdividing it
+ * "c3 _ _ e3" -> _ holds the previous step (tied note)
+ * "hh*16?" / "hh?0.3" -> randomly drop events (50% or 30% of the time)
+ * "[bd | cp | sd]" -> randomly pick one option per cycle
+ *
+ * Randomness comes from window.seededRandom, so it is the same every time
+ * a given cycle is played.
+ *
+ * A string is first split into tokens, then a recursive-descent parser
+ * builds an AST which is evaluated for a given cycle number.
  */
 
+/**
+ * Error raised for invalid mini-notation
+ * Carries the range of the faulty text so the editor can point at it
+ */
+class MiniNotationError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {number} start - Start offset in the pattern string
+     * @param {number} end - End offset in the pattern string (exclusive)
+     * @param {string} source - The pattern string
+     */
+    constructor(message, start, end, source = '') {
+        super(message);
+        this.name = 'MiniNotationError';
+        this.source = source;
+        this.start = start;
+        this.end = Math.max(end, start + 1);
+
+        // Line/column (0-based) inside the pattern string
+        const before = source.slice(0, start).split('\n');
+        this.line = before.length - 1;
+        this.column = before[before.length - 1].length;
+        this.endColumn = this.column + (this.end - this.start);
+    }
+}
+
 class MiniNotationParser {
     constructor() {
-        this.currentCycle = 0;
+        // Characters that are tokens on their own (everything else builds words)
+        this.symbols = '[]<>{}()*/~,%@!?|';
+
+        // Each ? and | gets its own seed so they don't drop/pick in lockstep
+        this.seedCounter = 0;
+
+        // Editor position of the string being parsed (set by parseAST)
+        this.origin = null;
     }
 
     /**
-     * Parse a mini-notation string into events
+     * Parse a mini-notation string into the events of one cycle
+     * (patterns keep the AST from parseAST and query it every cycle instead)
      * @param {string} str - Mini-notation string like "bd sd hh*2"
-     * @param {number} subdivision - Number of steps (default 16)
+     * @param {number} cycle - Cycle to evaluate (selects alternations)
      * @returns {Array} Array of events with timing
      */
-    parse(str, subdivision = 16) {
+    parse(str, cycle = 0) {
         if (!str || str.trim() === '') {
             return [];
         }
 
-        // Remove comments
-        str = str.split('//')[0].trim();
+        return this.queryAST(this.parseAST(str), cycle);
+    }
 
-        // Handle alternation <a b c>
-        if (str.includes('<') && str.includes('>')) {
-            return this.parseAlternation(str, subdivision);
+    /**
+     * Remove a trailing // comment (offsets of the remaining text are unchanged)
+     */
+    stripComments(str) {
+        return str.split('//')[0].trimEnd();
+    }
+
+    /**
+     * Split a mini-notation string into tokens
+     * @param {string} str - Mini-notation string
+     * @returns {Array} Tokens {type, value, start, end}
+     */
+    tokenize(str) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < str.length) {
+            const char = str[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (this.symbols.includes(char)) {
+                tokens.push({ type: char, value: char, start: i, end: i + 1 });
+                i++;
+                continue;
+            }
+
+            // Word: sound name, note name or number
+            const start = i;
+            while (i < str.length && !/\s/.test(str[i]) && !this.symbols.includes(str[i])) {
+                i++;
+            }
+            tokens.push({ type: 'word', value: str.slice(start, i), start, end: i });
         }
 
-        // Split by whitespace
-        const tokens = str.trim().split(/\s+/);
-        const events = [];
-        const stepDuration = 1.0 / tokens.length;
+        return tokens;
+    }
+
+    /**
+     * Build the AST of a mini-notation string
+     *
+     * Grammar:
+     *   layers   := choice (',' choice)*
+     *   choice   := sequence ('|' sequence)*      (only inside [ ] or at top level)
+     *   sequence := (step ('@' number | '!' number)* | '!' | '_')*
+     *   step     := term (('*' | '/') term | '(' layers ')' | '?' number?)*
+     *   term     := word | '~' | '[' layers ']' | '<' layers '>'
+     *             | '{' layers '}' ('%' term)?
+     *
+     * @param {string} str - Mini-notation string (a trailing // comment is ignored)
+     * @param {Object} origin - Editor position {line, column, lines} of the string (optional,
+     *                          lines: editor text from its line on); atoms then get a
+     *                          `location` copied onto their events
+     * @returns {Object} Root sequence (or stack) node
+     */
+    parseAST(str, origin = null) {
+        str = this.stripComments(str);
+        this.source = str;
+        this.origin = origin;
+        this.tokens = this.tokenize(str);
+        this.pos = 0;
+        this.seedCounter = 0;
+
+        const ast = this.stackLayers(this.parseLayers(null, true));
+
+        // Anything left over is a closing bracket without an opening one
+        if (this.pos < this.tokens.length) {
+            this.unexpected(this.tokens[this.pos]);
+        }
+
+        return ast;
+    }
+
+    /**
+     * Parse comma-separated sequences until the closing bracket
+     * @param {string} closing - Closing bracket type (null for end of input)
+     * @param {boolean} allowChoice - Whether | random choices are allowed here
+     * @returns {Array} One node per layer (sequence or random choice)
+     */
+    parseLayers(closing, allowChoice = false) {
+        const layers = [this.parseChoice(closing, allowChoice)];
+
+        while (this.pos < this.tokens.length && this.tokens[this.pos].type === ',') {
+            this.pos++;
+            layers.push(this.parseChoice(closing, allowChoice));
+        }
 
-        tokens.forEach((token, index) => {
-            const time = index * stepDuration;
+        return layers;
+    }
 
-            if (token === '~') {
-                // Rest/silence
-                return;
+    /**
+     * Parse sequences separated by | (one of them is picked at random each cycle)
+     */
+    parseChoice(closing, allowChoice) {
+        const options = [this.parseSequence(closing)];
+
+        while (this.pos < this.tokens.length && this.tokens[this.pos].type === '|') {
+            if (!allowChoice) {
+                this.unexpected(this.tokens[this.pos]);
             }
+            this.pos++;
+            options.push(this.parseSequence(closing));
+        }
 
-            // Handle repetition (bd*4)
-            if (token.includes('*')) {
-                const [sound, countStr] = token.split('*');
-                const count = parseInt(countStr) || 1;
-                const subDuration = stepDuration / count;
+        return options.length === 1 ? options[0] : { type: 'choice', options, seed: this.seedCounter++ };
+    }
 
-                for (let i = 0; i < count; i++) {
-                    events.push({
-                        sound: sound,
-                        time: time + (i * subDuration),
-                        duration: subDuration * 0.9 // Slightly shorter for clarity
-                    });
+    /**
+     * Combine parsed layers: a single layer stays as is, several play together
+     */
+    stackLayers(layers) {
+        return layers.length === 1 ? layers[0] : { type: 'stack', layers };
+    }
+
+    /**
+     * Parse steps until the closing bracket (or end of input when closing is null)
+     * Each step has a weight (its relative length): bd@3 and "bd _ _" both weigh 3
+     */
+    parseSequence(closing) {
+        const steps = [];
+        const weights = [];
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+            if (token.type === closing || token.type === ',' || token.type === '|') {
+                break;
+            }
+            if (token.type === ']' || token.type === '>' || token.type === '}') {
+                this.unexpected(token);
+            }
+
+            // _ holds the previous step for one more step
+            if (token.type === 'word' && /^_+$/.test(token.value)) {
+                if (steps.length === 0) {
+                    this.fail("Nothing to hold before '_'", token.start, token.end);
                 }
+                weights[weights.length - 1] += token.value.length;
+                this.pos++;
+                continue;
             }
-            // Handle subdivision (bd/4)
-            else if (token.includes('/')) {
-                const [sound, divStr] = token.split('/');
-                const divisor = parseInt(divStr) || 1;
-                // Only play on that subdivision
-                events.push({
-                    sound: sound,
-                    time: time,
-                    duration: stepDuration / divisor
-                });
+
+            // A lone ! repeats the previous step
+            if (token.type === '!') {
+                if (steps.length === 0) {
+                    this.fail("Nothing to repeat before '!'", token.start, token.end);
+                }
+                steps.push(steps[steps.length - 1]);
+                weights.push(weights[weights.length - 1]);
+                this.pos++;
+                continue;
+            }
+
+            const step = this.parseStep();
+            let weight = 1;
+            let copies = 1;
+
+            // Elongation (bd@3) and replication (bd!3)
+            while (this.pos < this.tokens.length) {
+                const modifier = this.tokens[this.pos];
+                const next = this.tokens[this.pos + 1];
+                const hasNumber = next && next.type === 'word' && next.start === modifier.end;
+
+                if (modifier.type === '@') {
+                    weight = hasNumber ? parseFloat(next.value) : NaN;
+                    if (!(weight > 0)) {
+                        this.fail("Expected a positive number after '@'", modifier.start, hasNumber ? next.end : modifier.end);
+                    }
+                } else if (modifier.type === '!' && hasNumber) {
+                    copies = parseInt(next.value);
+                    if (!(copies >= 1)) {
+                        this.fail("Expected a positive number after '!'", modifier.start, next.end);
+                    }
+                } else {
+                    break;
+                }
+                this.pos += 2;
+            }
+
+            for (let i = 0; i < copies; i++) {
+                steps.push(step);
+                weights.push(weight);
+            }
+        }
+
+        return { type: 'sequence', steps, weights };
+    }
+
+    /**
+     * Sum of the step weights of a sequence
+     */
+    totalWeight(sequence) {
+        return sequence.weights.reduce((sum, weight) => sum + weight, 0);
+    }
+
+    /**
+     * Parse a term followed by any number of *, /, ? or euclidean (k,n,r) operators
+     */
+    parseStep() {
+        let node = this.parseTerm();
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+
+            if (token.type === '(') {
+                this.pos++;
+                const args = this.parseLayers(')');
+                this.expectClosing(')', token);
+
+                if (args.length < 2 || args.length > 3 || args.some(arg => arg.steps.length === 0)) {
+                    this.fail('Euclidean rhythm needs (pulses,steps) or (pulses,steps,rotation)', token.start, this.tokens[this.pos - 1].end);
+                }
+                args.forEach(arg => this.checkNumeric(arg, token));
+
+                node = {
+                    type: 'euclid',
+                    child: node,
+                    pulses: args[0],
+                    steps: args[1],
+                    rotation: args[2] || null
+                };
+                continue;
             }
-            // Simple sound
-            else {
-                events.push({
-                    sound: token,
-                    time: time,
-                    duration: stepDuration * 0.9
+
+            // Degrade: hh? drops half of the events, hh?0.3 drops 30%
+            if (token.type === '?') {
+                const next = this.tokens[this.pos + 1];
+                let amount = 0.5;
+                if (next && next.type === 'word' && next.start === token.end) {
+                    amount = parseFloat(next.value);
+                    if (isNaN(amount) || amount < 0 || amount > 1) {
+                        this.fail("Expected a probability between 0 and 1 after '?'", token.start, next.end);
+                    }
+                    this.pos++;
+                }
+                this.pos++;
+
+                node = { type: 'degrade', child: node, amount, seed: this.seedCounter++ };
+                continue;
+            }
+
+            if (token.type !== '*' && token.type !== '/') {
+                break;
+            }
+            this.pos++;
+
+            const factor = this.parseTerm();
+            this.checkNumeric(factor, token);
+
+            node = { type: token.type === '*' ? 'fast' : 'slow', child: node, factor };
+        }
+
+        return node;
+    }
+
+    /**
+     * Make sure every word of an operator argument is a number
+     * @param {Object} node - Argument node (word, group or alternation)
+     * @param {Object} operator - Operator token, for the error message
+     */
+    checkNumeric(node, operator) {
+        if (node.type === 'atom' && isNaN(parseFloat(node.value))) {
+            this.fail(`Expected a number after '${operator.value}', got '${node.value}'`, node.start, node.end);
+        }
+        (node.steps || node.layers || []).forEach(child => this.checkNumeric(child, operator));
+    }
+
+    /**
+     * Parse a single word, rest or bracketed group
+     */
+    parseTerm() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            this.fail('Unexpected end of pattern', last ? last.start : 0, last ? last.end : 0);
+        }
+
+        switch (token.type) {
+            case 'word': {
+                // Sample variant selection: bd:3 -> sound "bd", index 3
+                // (synth:clap has no numeric suffix and stays a plain name)
+                const variant = token.value.match(/^(.+):(\d+)$/);
+                const atom = variant
+                    ? { type: 'atom', value: variant[1], n: parseInt(variant[2]), start: token.start, end: token.end }
+                    : { type: 'atom', value: token.value, start: token.start, end: token.end };
+                if (this.origin) {
+                    atom.location = this.locate(token);
+                }
+                return atom;
+            }
+            case '~':
+                return { type: 'rest' };
+            case '[': {
+                const layers = this.parseLayers(']', true);
+                this.expectClosing(']', token);
+                return this.stackLayers(layers);
+            }
+            case '<': {
+                const layers = this.parseLayers('>');
+                this.expectClosing('>', token);
+                return this.stackLayers(layers.map(layer => ({ ...layer, type: 'alternation' })));
+            }
+            case '{': {
+                const layers = this.parseLayers('}');
+                this.expectClosing('}', token);
+
+                // Optional step count: {a b c}%4
+                let steps = null;
+                if (this.pos < this.tokens.length && this.tokens[this.pos].type === '%') {
+                    this.pos++;
+                    steps = this.parseTerm();
+                    this.checkNumeric(steps, { value: '%' });
+                }
+                return { type: 'polymeter', layers, steps };
+            }
+            default:
+                this.unexpected(token);
+        }
+    }
+
+    /**
+     * Consume the closing bracket matching an opening token
+     */
+    expectClosing(closing, opening) {
+        const token = this.tokens[this.pos];
+        if (!token || token.type !== closing) {
+            this.fail(`Unclosed '${opening.value}'`, opening.start, opening.end);
+        }
+        this.pos++;
+    }
+
+    /**
+     * Throw an error for a token that cannot appear here
+     */
+    unexpected(token) {
+        this.fail(`Unexpected '${token.value}'`, token.start, token.end);
+    }
+
+    /**
+     * Throw a MiniNotationError for a range of the string being parsed
+     */
+    fail(message, start, end) {
+        throw new MiniNotationError(message, start, end, this.source);
+    }
+
+    /**
+     * Editor position of a token, relative to the origin given to parseAST
+     * @param {Object} token - Token with start/end offsets
+     * @returns {Object} {line, start, end} (start/end are editor columns)
+     */
+    locate(token) {
+        const before = this.source.slice(0, token.start).split('\n');
+        const line = this.origin.line + before.length - 1;
+        const start = before.length === 1
+            ? this.origin.column + token.start
+            : before[before.length - 1].length;
+
+        // text: the line as evaluated, to tell whether the columns still apply
+        const text = this.origin.lines ? this.origin.lines[before.length - 1] : undefined;
+        return { line, start, end: start + (token.end - token.start), text };
+    }
+
+    /**
+     * Evaluate an AST node for one cycle
+     * @param {Object} node - AST node
+     * @param {number} cycle - Cycle number (selects alternations)
+     * @returns {Array} Events with Fraction time/duration relative to the cycle (0-1)
+     */
+    queryAST(node, cycle) {
+        switch (node.type) {
+            case 'atom': {
+                const event = { sound: node.value, time: new Fraction(0), duration: new Fraction(1) };
+                if (node.n !== undefined) {
+                    event.n = node.n;
+                }
+                if (node.location) {
+                    event.location = node.location;
+                }
+                return [event];
+            }
+
+            case 'rest':
+                return [];
+
+            case 'sequence': {
+                const events = [];
+                const total = this.totalWeight(node);
+                let position = 0;
+
+                node.steps.forEach((step, index) => {
+                    const stepStart = Fraction.from(position).div(total);
+                    const stepDuration = Fraction.from(node.weights[index]).div(total);
+
+                    this.queryAST(step, cycle).forEach(event => {
+                        events.push({
+                            ...event,
+                            time: stepStart.add(event.time.mul(stepDuration)),
+                            duration: event.duration.mul(stepDuration)
+                        });
+                    });
+                    position += node.weights[index];
                 });
+                return events;
             }
-        });
+
+            case 'stack':
+                return node.layers.flatMap(layer => this.queryAST(layer, cycle));
+
+            case 'choice': {
+                const random = window.seededRandom.valueAt(cycle, node.seed);
+                const index = Math.floor(random * node.options.length);
+                return this.queryAST(node.options[index], cycle);
+            }
+
+            case 'degrade':
+                return this.queryAST(node.child, cycle).filter(event =>
+                    window.seededRandom.valueAt(event.time.add(cycle), node.seed) >= node.amount
+                );
+
+            case 'polymeter': {
+                // Every layer plays `steps` of its own steps per cycle,
+                // by default the step count of the first layer
+                const steps = node.steps
+                    ? this.queryNumber(node.steps, cycle)
+                    : this.totalWeight(node.layers[0]);
+                if (!(steps > 0)) {
+                    return [];
+                }
+                return node.layers
+                    .filter(layer => layer.steps.length > 0)
+                    .flatMap(layer => this.queryScaled(layer, cycle, Fraction.from(steps).div(this.totalWeight(layer))));
+            }
+
+            case 'alternation': {
+                if (node.steps.length === 0) {
+                    return [];
+                }
+                // <a b@2> is the sequence "a b@2" slowed down to one step per cycle.
+                // Each option only advances when it is selected, so nested
+                // alternations see their own cycle count: <a <b c>> -> a b a c
+                const sequence = { ...node, type: 'sequence' };
+                return this.queryScaled(sequence, cycle, new Fraction(1).div(this.totalWeight(sequence)));
+            }
+
+            case 'euclid': {
+                const pulses = Math.round(this.queryNumber(node.pulses, cycle));
+                const steps = Math.round(this.queryNumber(node.steps, cycle));
+                const rotation = node.rotation ? Math.round(this.queryNumber(node.rotation, cycle)) : 0;
+                if (!(steps > 0) || isNaN(pulses) || isNaN(rotation)) {
+                    return [];
+                }
+
+                const rhythm = this.bjorklund(pulses, steps);
+                const childEvents = this.queryAST(node.child, cycle);
+                const events = [];
+
+                // Rotation shifts the rhythm to the left: (3,8,2) starts on the third step
+                for (let index = 0; index < steps; index++) {
+                    if (!rhythm[(((index + rotation) % steps) + steps) % steps]) {
+                        continue;
+                    }
+                    childEvents.forEach(event => {
+                        events.push({
+                            ...event,
+                            time: event.time.add(index).div(steps),
+                            duration: event.duration.div(steps)
+                        });
+                    });
+                }
+                return events;
+            }
+
+            case 'fast':
+            case 'slow': {
+                const factor = this.queryNumber(node.factor, cycle);
+                if (!(factor > 0)) {
+                    return [];
+                }
+                const scale = Fraction.from(factor);
+                return this.queryScaled(node.child, cycle, node.type === 'fast' ? scale : new Fraction(1).div(scale));
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Evaluate a node played `factor` times faster than the surrounding step
+     * The outer cycle covers the inner span [cycle * factor, (cycle + 1) * factor),
+     * only events starting inside that span are kept
+     * @param {Object} node - AST node
+     * @param {number} cycle - Outer cycle number
+     * @param {Fraction} factor - Speed factor
+     */
+    queryScaled(node, cycle, factor) {
+        const begin = factor.mul(cycle);
+        const end = factor.mul(cycle + 1);
+        const events = [];
+
+        for (let inner = begin.floor(); end.gt(inner); inner++) {
+            this.queryAST(node, inner).forEach(event => {
+                const onset = event.time.add(inner);
+                if (onset.gte(begin) && onset.lt(end)) {
+                    events.push({
+                        ...event,
+                        time: onset.div(factor).sub(cycle),
+                        duration: event.duration.div(factor)
+                    });
+                }
+            });
+        }
 
         return events;
     }
 
     /**
-     * Parse alternation patterns <a b c>
-     * Cycles through options on each cycle
+     * Bjorklund's algorithm: spread pulses as evenly as possible over steps
+     * Same distribution as TidalCycles, e.g. (3,8) -> x..x..x.
+     * Negative pulses invert the rhythm
+     * @param {number} pulses - Number of onsets
+     * @param {number} steps - Number of steps
+     * @returns {Array<boolean>} One entry per step, true for an onset
+     */
+    bjorklund(pulses, steps) {
+        if (pulses < 0) {
+            return this.bjorklund(-pulses, steps).map(hit => !hit);
+        }
+        pulses = Math.min(pulses, steps);
+
+        let onsets = Array.from({ length: pulses }, () => [true]);
+        let rests = Array.from({ length: steps - pulses }, () => [false]);
+
+        // Repeatedly pair the remainder with the front groups until at most one remains
+        while (Math.min(onsets.length, rests.length) > 1) {
+            if (onsets.length > rests.length) {
+                const head = onsets.slice(0, rests.length);
+                const tail = onsets.slice(rests.length);
+                onsets = head.map((group, i) => group.concat(rests[i]));
+                rests = tail;
+            } else {
+                const head = rests.slice(0, onsets.length);
+                rests = rests.slice(onsets.length);
+                onsets = onsets.map((group, i) => group.concat(head[i]));
+            }
+        }
+
+        return [...onsets.flat(), ...rests.flat()];
+    }
+
+    /**
+     * Evaluate a node used as a numeric argument (e.g. the 4 in bd*4 or <2 4>)
+     * @returns {number} Value of the first event in the cycle, NaN if none
      */
-    parseAlternation(str, subdivision) {
-        const match = str.match(/<([^>]+)>/);
-        if (!match) {
-            return this.parse(str, subdivision);
+    queryNumber(node, cycle) {
+        const events = this.queryAST(node, cycle);
+        return events.length > 0 ? parseFloat(events[0].sound) : NaN;
+    }
+
+    /**
+     * Call fn for every sound/note word of an AST (operator arguments excluded)
+     */
+    forEachAtom(node, fn) {
+        if (node.type === 'atom') {
+            fn(node);
         }
+        // Euclid and polymeter keep their step count argument in `steps` too (a node, not a list)
+        const steps = Array.isArray(node.steps) ? node.steps : [];
+        [node.child, ...steps, ...(node.layers || []), ...(node.options || [])]
+            .filter(Boolean)
+            .forEach(child => this.forEachAtom(child, fn));
+    }
+
+    /**
+     * Check that every word of a note pattern is a valid note or chord name
+     * @param {string} str - Mini-notation string like "c3 eb3 g3" or "c3'maj7 f3'min9"
+     * @throws {MiniNotationError} On the first word that is not a note
+     */
+    validateNotes(str) {
+        const ast = this.parseAST(str);
+        const source = this.source;
 
-        const options = match[1].trim().split(/\s+/);
-        const optionIndex = this.currentCycle % options.length;
-        const selected = options[optionIndex];
+        this.forEachAtom(ast, atom => {
+            const chord = window.theory.splitChord(atom.value);
+            if (chord && this.isNote(chord.root) && !window.theory.isChord(atom.value)) {
+                throw new MiniNotationError(`Unknown chord '${chord.name}'`, atom.start, atom.end, source);
+            }
+            if (!this.isNote(atom.value) && !window.theory.isChord(atom.value)) {
+                throw new MiniNotationError(`'${atom.value}' is not a note name`, atom.start, atom.end, source);
+            }
+        });
+    }
 
-        // Replace the alternation with the selected option
-        const replaced = str.replace(/<[^>]+>/, selected);
-        return this.parse(replaced, subdivision);
+    /**
+     * Whether a word is a note name (c, eb3, f#5, c-1)
+     */
+    isNote(word) {
+        return /^[a-g][#b]?-?\d*$/i.test(word);
     }
 
     /**
@@ -139,21 +719,8 @@ class MiniNotationParser {
 
         return (octave + 1) * 12 + midiNote;
     }
-
-    /**
-     * Increment the cycle counter (called each cycle)
-     */
-    nextCycle() {
-        this.currentCycle++;
-    }
-
-    /**
-     * Reset the cycle counter
-     */
-    resetCycle() {
-        this.currentCycle = 0;
-    }
 }
 
 // Create global instance
 window.parser = new MiniNotationParser();
+window.MiniNotationError = MiniNotationError;
@@ -1,111 +1,508 @@
 /**
  * AlgoSignalSound - Pattern Class
  * Manages musical patterns with transformations
+ *
+ * A pattern is a query function over continuous time: query(begin, end)
+ * returns the events whose onset falls in [begin, end), with `time` and
+ * `duration` measured in cycles (exact Fractions). Transformations wrap the
+ * query of the pattern they come from, so they work across cycle boundaries
+ * and with fractional factors.
+ *
+ * Patterns are immutable: transformations and effects return a new Pattern.
  */
 
+// Effect values of a new pattern
+const DEFAULT_EFFECTS = {
+    room: 0,
+    delay: 0,
+    lpf: null,
+    hpf: null,
+    pan: 0.5,
+    gain: 1.0
+};
+
+// Allowed range of the effects that are clamped
+const EFFECT_RANGES = {
+    room: [0, 1],
+    delay: [0, 1],
+    pan: [-1, 1],
+    gain: [0, 2]
+};
+
+// How many cycles queryOverlapping() looks back for events still sounding
+const MAX_LOOKBACK = 16;
+
 class Pattern {
-    constructor(events, type = 'sound') {
-        this.events = events || [];
+    /**
+     * @param {Array|Object|Function} source - Events played every cycle (times 0-1),
+     *        a parsed mini-notation AST (queried per cycle), or a query function
+     *        (begin, end) -> events with absolute times
+     * @param {string} type - 'sound' or 'note'
+     */
+    constructor(source, type = 'sound') {
         this.type = type; // 'sound' or 'note'
-        this.speed = 1.0;
-        this.reversed = false;
+        this.query = createQuery(source || [], type);
+        this.continuous = false; // Signals (sine, rand...) have a value at any point in time
         this.transformations = [];
-        this.effects = {
-            room: 0,
-            delay: 0,
-            lpf: null,
-            hpf: null,
-            pan: 0.5,
-            gain: 1.0
-        };
+        this.effects = { ...DEFAULT_EFFECTS }; // numbers, or control patterns read per event
         this.synthType = null;
         this.id = Math.random().toString(36).substr(2, 9);
     }
 
     /**
-     * Speed up the pattern
-     * @param {number} factor - Speed multiplier
+     * Derive a pattern with the same settings and another query
+     * @param {Function} query - (begin, end) -> events
+     * @param {Object} transformation - Entry for toString (e.g. { type: 'fast', factor })
      */
-    fast(factor = 2) {
+    withQuery(query, transformation) {
         const newPattern = this.clone();
-        newPattern.speed *= factor;
-        newPattern.transformations.push({ type: 'fast', factor });
+        newPattern.query = query;
+        newPattern.transformations.push(transformation);
+        return newPattern;
+    }
+
+    /**
+     * Derive a pattern mixing this pattern with transformed versions of it.
+     * The query tags each event with the pattern it came from (layerEvent),
+     * so a copy made with x => x.gain(0.2) keeps its own effects and synth;
+     * the result starts with default effects, like stack().
+     * @param {Function} query - (begin, end) -> tagged events
+     * @param {Object} transformation - Entry for toString
+     */
+    withLayers(query, transformation) {
+        const newPattern = this.withQuery(query, transformation);
+        newPattern.effects = { ...DEFAULT_EFFECTS };
+        newPattern.synthType = null;
         return newPattern;
     }
 
+    /**
+     * Speed up the pattern
+     * @param {number} factor - Speed multiplier (fractions allowed, e.g. 1.5)
+     */
+    fast(factor = 2) {
+        if (!(factor > 0)) {
+            throw new Error(`fast() needs a positive factor, got ${factor}`);
+        }
+        const scale = Fraction.from(factor);
+        return this.withQuery(
+            (begin, end) => this.query(scale.mul(begin), scale.mul(end)).map(e => ({
+                ...e,
+                time: e.time.div(scale),
+                duration: e.duration.div(scale),
+                ...(e.offset && { offset: e.offset.div(scale) })
+            })),
+            { type: 'fast', factor }
+        );
+    }
+
     /**
      * Slow down the pattern
-     * @param {number} factor - Slow divisor
+     * @param {number} factor - Slow divisor (slow(2) spreads one cycle over two)
      */
     slow(factor = 2) {
-        const newPattern = this.clone();
-        newPattern.speed /= factor;
-        newPattern.transformations.push({ type: 'slow', factor });
-        return newPattern;
+        if (!(factor > 0)) {
+            throw new Error(`slow() needs a positive factor, got ${factor}`);
+        }
+        const slowed = this.fast(new Fraction(1).div(factor));
+        slowed.transformations[slowed.transformations.length - 1] = { type: 'slow', factor };
+        return slowed;
     }
 
     /**
-     * Reverse the pattern
+     * Reverse the pattern (each cycle is played backwards)
      */
     rev() {
-        const newPattern = this.clone();
-        newPattern.reversed = !newPattern.reversed;
-        newPattern.transformations.push({ type: 'rev' });
-        return newPattern;
+        if (this.continuous) {
+            // A signal is read backwards: a point query samples the mirrored
+            // point of its cycle (spans have no events, as for any signal)
+            return this.withQuery((begin, end) => {
+                if (!begin.eq(end)) {
+                    return [];
+                }
+                const mirrored = new Fraction(2 * begin.floor() + 1).sub(begin);
+                return this.query(mirrored, mirrored).map(e => ({ ...e, time: begin }));
+            }, { type: 'rev' });
+        }
+
+        return this.withQuery(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const cycleEnd = span.cycle + 1;
+                return this.query(new Fraction(span.cycle), new Fraction(cycleEnd))
+                    .map(e => {
+                        // Mirror the part of the event inside the cycle
+                        const duration = e.time.add(e.duration).min(cycleEnd).sub(e.time);
+                        return { ...e, time: new Fraction(span.cycle + cycleEnd).sub(e.time).sub(duration), duration };
+                    })
+                    .filter(e => e.time.gte(span.begin) && e.time.lt(span.end));
+            }),
+            { type: 'rev' }
+        );
+    }
+
+    /**
+     * Shift the pattern later in time
+     * @param {number} amount - Shift in cycles (0.25 = a quarter cycle)
+     */
+    rotR(amount) {
+        const offset = Fraction.from(amount);
+        return this.withQuery(
+            (begin, end) => this.query(begin.sub(offset), end.sub(offset))
+                .map(e => ({ ...e, time: e.time.add(offset) })),
+            { type: 'rotR', amount }
+        );
+    }
+
+    /**
+     * Shift the pattern earlier in time
+     * @param {number} amount - Shift in cycles
+     */
+    rotL(amount) {
+        const rotated = this.rotR(Fraction.from(amount).mul(-1));
+        rotated.transformations[rotated.transformations.length - 1] = { type: 'rotL', amount };
+        return rotated;
+    }
+
+    /**
+     * Swing: delay the events in the second half of each subdivision.
+     * Only the onset moves (the scheduler adds the offset), the structure stays on the grid.
+     * @param {number} amount - Delay as a part of one subdivision (1/6 = triplet feel)
+     * @param {number} subdivision - Slices per cycle (4 swings the 8th-note off-beats)
+     */
+    swing(amount, subdivision = 4) {
+        const delay = Fraction.from(amount).div(subdivision);
+        const half = new Fraction(1, 2);
+        return this.withQuery(
+            (begin, end) => this.query(begin, end).map(e => {
+                const position = e.time.mul(subdivision);
+                return position.sub(position.floor()).gte(half) ? delayEvent(e, delay) : e;
+            }),
+            { type: 'swing', amount, subdivision }
+        );
+    }
+
+    /**
+     * Triplet shuffle: off-beats of each subdivision land on the last triplet
+     * @param {number} subdivision - Slices per cycle (8 shuffles 16th notes)
+     */
+    shuffle(subdivision = 4) {
+        const shuffled = this.swing(new Fraction(1, 6), subdivision);
+        shuffled.transformations[shuffled.transformations.length - 1] = { type: 'shuffle', subdivision };
+        return shuffled;
+    }
+
+    /**
+     * Play events later than their grid position, without moving the structure
+     * @param {number|string|Pattern} amount - Cycles, or mini-notation like "0 0.01" read at each onset
+     */
+    late(amount) {
+        const values = typeof amount === 'string' ? new Pattern(window.parser.parseAST(amount)) : amount;
+        return this.withQuery(
+            (begin, end) => this.query(begin, end).map(e => {
+                const cycles = valueAt(values, e.time);
+                return cycles ? delayEvent(e, cycles) : e;
+            }),
+            { type: 'late' }
+        );
+    }
+
+    /**
+     * Move events by a fixed time in seconds (independent of the tempo),
+     * e.g. to push a snare slightly behind the beat
+     * @param {number|string|Pattern} seconds - Seconds (negative = earlier), or mini-notation
+     */
+    nudge(seconds) {
+        const values = typeof seconds === 'string' ? new Pattern(window.parser.parseAST(seconds)) : seconds;
+        return this.withQuery(
+            (begin, end) => this.query(begin, end).map(e => {
+                const value = valueAt(values, e.time);
+                return value ? { ...e, nudge: (e.nudge || 0) + value } : e;
+            }),
+            { type: 'nudge' }
+        );
+    }
+
+    /**
+     * Play a transformed copy on top of the pattern
+     * @param {Function} fn - Transformation for the copy
+     */
+    superimpose(fn) {
+        return this.layer(pattern => pattern, fn);
+    }
+
+    /**
+     * Play a shifted, transformed copy on top of the pattern
+     * @param {number} amount - Delay of the copy in cycles (0.125 = an eighth of a cycle)
+     * @param {Function} fn - Transformation for the copy
+     */
+    off(amount, fn) {
+        const copy = fn(this.rotR(amount));
+        return this.withLayers(
+            (begin, end) => [
+                ...this.query(begin, end).map(e => layerEvent(this, e)),
+                ...copy.query(begin, end).map(e => layerEvent(copy, e))
+            ],
+            { type: 'off', amount }
+        );
+    }
+
+    /**
+     * Play several transformations of the pattern together
+     * @param {...Function} fns - One transformation per layer
+     */
+    layer(...fns) {
+        const layers = fns.map(fn => fn(this));
+        return this.withLayers(
+            (begin, end) => layers.flatMap(pattern => pattern.query(begin, end).map(e => layerEvent(pattern, e))),
+            { type: 'layer' }
+        );
+    }
+
+    /**
+     * Repeat each event n times within its own duration
+     * @param {number} n - Number of repeats (a positive whole number)
+     */
+    ply(n) {
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Error(`ply() needs a positive whole number of repeats, got ${n}`);
+        }
+        return this.withQuery(
+            (begin, end) => queryOverlapping(this, begin, end).flatMap(e => {
+                const duration = e.duration.div(n);
+                return Array.from({ length: n }, (_, i) => ({ ...e, time: e.time.add(duration.mul(i)), duration }));
+            }).filter(e => e.time.gte(begin) && e.time.lt(end)),
+            { type: 'ply', n }
+        );
+    }
+
+    /**
+     * Start each cycle a step further into the pattern: cycle c is shifted
+     * left by (c mod n) / n, so "a b c d" plays "b c d a" on the next cycle
+     * @param {number} n - Number of steps
+     */
+    iter(n) {
+        return this.withQuery(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const offset = new Fraction(((span.cycle % n) + n) % n, n);
+                return this.query(span.begin.add(offset), span.end.add(offset))
+                    .map(e => ({ ...e, time: e.time.sub(offset) }));
+            }),
+            { type: 'iter', n }
+        );
+    }
+
+    /**
+     * Play the pattern forwards then backwards, one cycle each
+     */
+    palindrome() {
+        return this.withQuery(cat(this, this.rev()).query, { type: 'palindrome' });
+    }
+
+    /**
+     * Shift the values of the events by n steps, keeping the rhythm
+     * ("a b c d".rot(1) plays "b c d a")
+     * @param {number} n - Number of steps (negative rotates the other way)
+     */
+    rot(n) {
+        return this.withQuery(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const events = this.query(new Fraction(span.cycle), new Fraction(span.cycle + 1))
+                    .sort((a, b) => a.time.compare(b.time));
+                return events
+                    .map((e, i) => ({
+                        ...events[(((i + n) % events.length) + events.length) % events.length],
+                        time: e.time,
+                        duration: e.duration
+                    }))
+                    .filter(e => e.time.gte(span.begin) && e.time.lt(span.end));
+            }),
+            { type: 'rot', n }
+        );
+    }
+
+    /**
+     * Repeat the start of each cycle ("a b c d".linger(0.25) plays "a a a a")
+     * @param {number} fraction - Part of the cycle to repeat (0-1)
+     */
+    linger(fraction) {
+        if (!(fraction > 0 && fraction <= 1)) {
+            throw new Error(`linger() needs a fraction between 0 and 1, got ${fraction}`);
+        }
+        const length = Fraction.from(fraction);
+        return this.withQuery(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const events = [];
+                // Each repeat k covers [cycle + k * length, cycle + (k + 1) * length)
+                for (let k = 0; length.mul(k).lt(1); k++) {
+                    const offset = length.mul(k);
+                    const repeatBegin = offset.add(span.cycle).max(span.begin);
+                    const repeatEnd = offset.add(length).min(1).add(span.cycle).min(span.end);
+                    if (repeatBegin.gte(repeatEnd)) {
+                        continue;
+                    }
+                    this.query(repeatBegin.sub(offset), repeatEnd.sub(offset))
+                        .forEach(e => events.push({ ...e, time: e.time.add(offset) }));
+                }
+                return events;
+            }),
+            { type: 'linger', fraction }
+        );
+    }
+
+    /**
+     * Sample the pattern n times per cycle: each step plays the events
+     * sounding at its start (or the signal value there, for sine, rand...)
+     * @param {number} n - Number of steps per cycle
+     */
+    segment(n) {
+        const segmented = this.withQuery(
+            (begin, end) => {
+                const step = new Fraction(1, n);
+                const events = [];
+                for (let i = begin.mul(n).floor(); step.mul(i).lt(end); i++) {
+                    const time = step.mul(i);
+                    if (time.lt(begin)) {
+                        continue;
+                    }
+                    const sounding = this.continuous
+                        ? this.query(time, time)
+                        : this.query(new Fraction(time.floor()), time.add(step))
+                            .filter(e => e.time.lte(time) && e.time.add(e.duration).gt(time));
+                    sounding.forEach(e => events.push({ ...e, time, duration: step }));
+                }
+                return events;
+            },
+            { type: 'segment', n }
+        );
+        segmented.continuous = false;
+        return segmented;
+    }
+
+    /**
+     * Scale values from 0-1 to min-max (signals like sine go from 0 to 1)
+     * @param {number} min - Value for 0
+     * @param {number} max - Value for 1
+     */
+    range(min, max) {
+        return this.withQuery(
+            (begin, end) => this.query(begin, end)
+                .map(e => ({ ...e, sound: min + parseFloat(e.sound) * (max - min) })),
+            { type: 'range', min, max }
+        );
+    }
+
+    /**
+     * Round values to a multiple of step (whole numbers by default),
+     * e.g. to turn a signal into scale degrees
+     * @param {number} step - Rounding step
+     */
+    quantize(step = 1) {
+        return this.withQuery(
+            (begin, end) => this.query(begin, end)
+                .map(e => ({ ...e, sound: Math.round(parseFloat(e.sound) / step) * step })),
+            { type: 'quantize', step }
+        );
     }
 
     /**
      * Apply effect - Room reverb
-     * @param {number} amount - Reverb amount (0-1)
+     * @param {number|string|Pattern} amount - Reverb amount (0-1), or a pattern like "<0 0.5>"
      */
     room(amount) {
-        this.effects.room = Math.max(0, Math.min(1, amount));
-        return this;
+        return this.withEffect('room', amount);
     }
 
     /**
      * Apply effect - Delay
-     * @param {number} amount - Delay amount (0-1)
+     * @param {number|string|Pattern} amount - Delay amount (0-1), or a pattern
      */
     delay(amount) {
-        this.effects.delay = Math.max(0, Math.min(1, amount));
-        return this;
+        return this.withEffect('delay', amount);
     }
 
     /**
      * Apply effect - Low-pass filter
-     * @param {number} freq - Cutoff frequency in Hz
+     * @param {number|string|Pattern} freq - Cutoff frequency in Hz, or a pattern like "400 800 2000"
      */
     lpf(freq) {
-        this.effects.lpf = freq;
-        return this;
+        return this.withEffect('lpf', freq);
     }
 
     /**
      * Apply effect - High-pass filter
-     * @param {number} freq - Cutoff frequency in Hz
+     * @param {number|string|Pattern} freq - Cutoff frequency in Hz, or a pattern
      */
     hpf(freq) {
-        this.effects.hpf = freq;
-        return this;
+        return this.withEffect('hpf', freq);
     }
 
     /**
      * Pan the sound
-     * @param {number} position - Pan position (-1 to 1, or 0 to 1)
+     * @param {number|string|Pattern} position - Pan position (-1 to 1, or 0 to 1), or a pattern
      */
     pan(position) {
-        this.effects.pan = Math.max(-1, Math.min(1, position));
-        return this;
+        return this.withEffect('pan', position);
     }
 
     /**
      * Set volume/gain
-     * @param {number} amount - Gain amount (0-2, default 1.0)
+     * @param {number|string|Pattern} amount - Gain amount (0-2, default 1.0), or a pattern
      */
     gain(amount) {
-        this.effects.gain = Math.max(0, Math.min(2, amount));
-        return this;
+        return this.withEffect('gain', amount);
+    }
+
+    /**
+     * Derive a pattern with one effect changed
+     * @param {string} name - Effect name
+     * @param {number|string|Pattern} value - Number, mini-notation string or control pattern
+     */
+    withEffect(name, value) {
+        const newPattern = this.clone();
+        newPattern.effects[name] = toControl(name, value);
+        return newPattern;
+    }
+
+    /**
+     * Effect values for an event (patterned effects take their value at the event onset)
+     * @param {Fraction|number} time - Event onset in cycles
+     * @returns {Object} Plain numbers, ready for the audio engines
+     */
+    effectsAt(time) {
+        const effects = {};
+        Object.entries(this.effects).forEach(([name, control]) => {
+            if (!(control instanceof Pattern)) {
+                effects[name] = control;
+                return;
+            }
+            const value = valueAt(control, time);
+            effects[name] = value === undefined || isNaN(value)
+                ? DEFAULT_EFFECTS[name]
+                : clampEffect(name, value);
+        });
+        return effects;
+    }
+
+    /**
+     * Effect values for one event: the effects of the stack layer it came
+     * from (if any), with this pattern's non-default effects on top
+     * @param {Object} event - Queried event
+     * @param {Fraction|number} time - Event onset in cycles
+     * @returns {Object} Plain numbers, ready for the audio engines
+     */
+    effectsFor(event, time) {
+        const effects = this.effectsAt(time);
+        if (!event.effects) {
+            return effects;
+        }
+
+        const merged = { ...event.effects };
+        Object.keys(this.effects).forEach(name => {
+            if (this.effects[name] !== DEFAULT_EFFECTS[name]) {
+                merged[name] = effects[name];
+            }
+        });
+        return merged;
     }
 
     /**
@@ -113,111 +510,372 @@ class Pattern {
      * @param {string} type - Synth type (sine, square, sawtooth, triangle, fm)
      */
     s(type) {
-        this.synthType = type;
-        return this;
+        const newPattern = this.clone();
+        newPattern.synthType = type;
+        return newPattern;
+    }
+
+    /**
+     * Select sample variants by index (wraps around the size of the sample bank)
+     * @param {number|string} indices - Index or mini-notation like "0 1 2"
+     */
+    n(indices) {
+        const values = typeof indices === 'string' ? new Pattern(window.parser.parseAST(indices)) : indices;
+        return this.withQuery(
+            (begin, end) => this.query(begin, end).map(e => ({ ...e, n: valueAt(values, e.time) })),
+            { type: 'n' }
+        );
+    }
+
+    /**
+     * Turn scale degrees into notes ("0 2 4" -> root, third, fifth).
+     * Events of stacked layers that aren't degrees (samples, notes) pass
+     * through unchanged.
+     * @param {string} name - Root and scale like "c:minor" or "eb3:dorian"
+     */
+    scale(name) {
+        const scale = window.theory.parseScale(name);
+        const newPattern = this.withQuery(
+            (begin, end) => this.query(begin, end).flatMap(e => {
+                const degree = parseFloat(e.sound);
+                if (e.type && (e.type === 'note' || isNaN(degree))) {
+                    return [e];
+                }
+                // Untagged events play as notes now: values that aren't degrees are dropped
+                if (isNaN(degree)) {
+                    return [];
+                }
+                return [{
+                    ...e,
+                    sound: window.theory.scaleNote(degree, scale),
+                    ...(e.type && { type: 'note' })
+                }];
+            }),
+            { type: 'scale' }
+        );
+        newPattern.type = 'note';
+        return newPattern;
+    }
+
+    /**
+     * Add to note numbers or scale degrees ("<0 12>" alternates octaves)
+     * @param {number|string|Pattern} amount - Number, mini-notation or pattern, read at each event onset
+     */
+    add(amount) {
+        return this.withArithmetic(amount, (value, x) => value + x, { type: 'add' });
+    }
+
+    /**
+     * Subtract from note numbers or scale degrees
+     * @param {number|string|Pattern} amount - Number, mini-notation or pattern, read at each event onset
+     */
+    sub(amount) {
+        return this.withArithmetic(amount, (value, x) => value - x, { type: 'sub' });
+    }
+
+    /**
+     * Transpose notes by semitones
+     * @param {number|string|Pattern} semitones - Number, mini-notation like "<0 5 7>" or pattern
+     */
+    transpose(semitones) {
+        return this.withArithmetic(semitones, (value, x) => value + x, { type: 'transpose' });
+    }
+
+    /**
+     * Move notes up or down by octaves
+     * @param {number|string|Pattern} octaves - Number, mini-notation like "<0 -1>" or pattern
+     */
+    octave(octaves) {
+        return this.withArithmetic(octaves, (value, x) => value + x * 12, { type: 'octave' });
+    }
+
+    /**
+     * Combine each numeric event value with the value of another pattern at its onset
+     * (the structure comes from this pattern; sample names are left alone, and
+     * values of sound events like s("0 2 4") degrees stay strings until .scale())
+     * @param {number|string|Pattern} amount - Number, mini-notation or pattern
+     * @param {Function} operation - (value, amount) => new value
+     * @param {Object} transformation - Transformation record
+     */
+    withArithmetic(amount, operation, transformation) {
+        const values = typeof amount === 'string' ? new Pattern(window.parser.parseAST(amount)) : amount;
+        return this.withQuery(
+            (begin, end) => this.query(begin, end).map(e => {
+                const value = parseFloat(e.sound);
+                const x = valueAt(values, e.time);
+                if (isNaN(value) || x === undefined || isNaN(x)) {
+                    return e;
+                }
+                const sound = operation(value, x);
+                return { ...e, sound: (e.type || this.type) === 'note' ? sound : String(sound) };
+            }),
+            transformation
+        );
+    }
+
+    /**
+     * Play the notes of each chord one after the other within the chord's duration
+     * @param {string|Pattern} modes - Arp mode or mini-notation like "<up down updown converge>"
+     */
+    arp(modes = 'up') {
+        let values = modes;
+        if (typeof modes === 'string') {
+            const ast = window.parser.parseAST(modes);
+            // Unknown modes fail on evaluation rather than on the next cycle
+            window.parser.forEachAtom(ast, atom => window.theory.arpeggio([], atom.value));
+            values = new Pattern(ast);
+        }
+
+        return this.withQuery(
+            (begin, end) => groupChords(queryOverlapping(this, begin, end)).flatMap(chord => {
+                const mode = soundAt(values, chord[0].time) || 'up';
+                const notes = window.theory.arpeggio(sortByPitch(chord), mode);
+                const duration = chord[0].duration.div(notes.length);
+                return notes.map((e, i) => ({ ...e, time: chord[0].time.add(duration.mul(i)), duration }));
+            }).filter(e => e.time.gte(begin) && e.time.lt(end)),
+            { type: 'arp' }
+        );
+    }
+
+    /**
+     * Voice each chord as the inversion closest to an anchor note, for smooth
+     * voice leading between chords (c3'maj f3'maj becomes c e g -> c f a)
+     * @param {string|number} anchor - Note name or MIDI note the chords stay around
+     */
+    voicing(anchor = 'c4') {
+        const centre = typeof anchor === 'number' ? anchor : window.parser.parseNote(anchor);
+        return this.withQuery(
+            (begin, end) => groupChords(this.query(begin, end)).flatMap(chord => {
+                const voiced = window.theory.voiceChord(chord.map(e => parseFloat(e.sound)), centre);
+                return sortByPitch(chord).map((e, i) => ({ ...e, sound: voiced[i] }));
+            }),
+            { type: 'voicing', anchor }
+        );
+    }
+
+    /**
+     * Strum chords: each note starts a bit later than the one below it
+     * (negative amounts strum downwards). Notes still end with the chord.
+     * @param {number} amount - Part of the chord's duration spread over the notes (0 to 1)
+     */
+    strum(amount = 0.25) {
+        return this.withQuery(
+            (begin, end) => groupChords(queryOverlapping(this, begin, end)).flatMap(chord => {
+                const notes = amount < 0 ? sortByPitch(chord).reverse() : sortByPitch(chord);
+                const step = chord[0].duration.mul(Math.min(Math.abs(amount), 1)).div(notes.length);
+                return notes.map((e, i) => {
+                    const delay = step.mul(i);
+                    return { ...e, time: e.time.add(delay), duration: e.duration.sub(delay) };
+                });
+            }).filter(e => e.time.gte(begin) && e.time.lt(end)),
+            { type: 'strum', amount }
+        );
+    }
+
+    /**
+     * Apply a transformation on the cycles matching a condition
+     * @param {Function} predicate - (cycle number) => boolean
+     * @param {Function} fn - Transformation function
+     */
+    when(predicate, fn) {
+        const transformed = fn(this);
+        return this.withLayers(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const pattern = predicate(span.cycle) ? transformed : this;
+                return pattern.query(span.begin, span.end).map(e => layerEvent(pattern, e));
+            }),
+            { type: 'when' }
+        );
     }
 
     /**
-     * Apply transformation every N cycles
+     * Apply transformation every N cycles, starting at cycle offset
+     * (every(4, fast(2)) or every(4, 3, fast(2)) for the 4th cycle of each 4)
      * @param {number} n - Every n cycles
+     * @param {number|Function} offset - Cycle within the n cycles (0 by default), or fn
      * @param {Function} fn - Transformation function
      */
-    every(n, fn) {
-        const newPattern = this.clone();
-        newPattern.transformations.push({ type: 'every', n, fn });
-        return newPattern;
+    every(n, offset, fn) {
+        if (typeof offset === 'function') {
+            [offset, fn] = [0, offset];
+        }
+        return relabel(this.when(cycle => mod(cycle, n) === mod(offset, n), fn), { type: 'every', n, offset });
+    }
+
+    /**
+     * Apply transformation on the first cycle of every n (same as every(n, fn))
+     */
+    firstOf(n, fn) {
+        return relabel(this.when(cycle => mod(cycle, n) === 0, fn), { type: 'firstOf', n });
+    }
+
+    /**
+     * Apply transformation on the last cycle of every n (fills before the loop restarts)
+     */
+    lastOf(n, fn) {
+        return relabel(this.when(cycle => mod(cycle, n) === n - 1, fn), { type: 'lastOf', n });
+    }
+
+    /**
+     * Apply transformation when cycle mod a is at least b
+     * (whenmod(8, 6, rev()) reverses the last 2 cycles of every 8)
+     */
+    whenmod(a, b, fn) {
+        return relabel(this.when(cycle => mod(cycle, a) >= b, fn), { type: 'whenmod', a, b });
+    }
+
+    /**
+     * Apply transformation to a part of each cycle only
+     * @param {Array<number>} span - [start, end] within the cycle, e.g. [0, 0.5]
+     * @param {Function} fn - Transformation function
+     */
+    within([start, end], fn) {
+        const transformed = fn(this);
+        return this.withLayers(
+            (begin, stop) => splitCycles(begin, stop).flatMap(span =>
+                playWithin(transformed, this, span, start, end)
+            ),
+            { type: 'within', start, end }
+        );
     }
 
     /**
-     * Sometimes apply a transformation (50% chance)
+     * Apply transformation to one part of the cycle, moving to the next part
+     * each cycle (chunk(4, fast(2)) hits the 1st quarter, then the 2nd...)
+     * @param {number} n - Number of parts
+     * @param {Function} fn - Transformation function
+     */
+    chunk(n, fn) {
+        const transformed = fn(this);
+        return this.withLayers(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const part = mod(span.cycle, n);
+                return playWithin(transformed, this, span, part / n, (part + 1) / n);
+            }),
+            { type: 'chunk', n }
+        );
+    }
+
+    /**
+     * Apply a transformation to whole cycles, chosen at random each cycle
+     * (seeded: the same cycle always makes the same choice)
+     * @param {number} probability - Chance for each cycle to be transformed (0-1)
+     * @param {Function} fn - Transformation function
+     */
+    somecyclesBy(probability, fn) {
+        const seed = this.nextSeed();
+        const transformed = fn(this);
+        return this.withLayers(
+            (begin, end) => splitCycles(begin, end).flatMap(span => {
+                const random = window.seededRandom.valueAt(span.cycle, seed);
+                const pattern = random < probability ? transformed : this;
+                return pattern.query(span.begin, span.end).map(e => layerEvent(pattern, e));
+            }),
+            { type: 'somecyclesBy', probability, seed }
+        );
+    }
+
+    /**
+     * Sometimes apply a transformation (50% of the cycles)
      * @param {Function} fn - Transformation function
      */
     sometimes(fn) {
-        if (Math.random() < 0.5) {
-            return fn(this);
-        }
-        return this;
+        return this.somecyclesBy(0.5, fn);
     }
 
     /**
-     * Rarely apply a transformation (25% chance)
+     * Rarely apply a transformation (25% of the cycles)
      * @param {Function} fn - Transformation function
      */
     rarely(fn) {
-        if (Math.random() < 0.25) {
-            return fn(this);
-        }
-        return this;
+        return this.somecyclesBy(0.25, fn);
     }
 
     /**
-     * Often apply a transformation (75% chance)
+     * Often apply a transformation (75% of the cycles)
      * @param {Function} fn - Transformation function
      */
     often(fn) {
-        if (Math.random() < 0.75) {
-            return fn(this);
-        }
-        return this;
+        return this.somecyclesBy(0.75, fn);
     }
 
     /**
-     * Get events for the current cycle with transformations applied
-     * @param {number} cycleNumber - Current cycle number
+     * Apply a transformation to randomly chosen events
+     * @param {number} probability - Chance for each event to be transformed (0-1)
+     * @param {Function} fn - Transformation function
      */
-    getEventsForCycle(cycleNumber) {
-        let events = [...this.events];
+    sometimesBy(probability, fn) {
+        const seed = this.nextSeed();
+        const chosen = fn(this.keepByChance(random => random < probability, seed));
+        const others = this.keepByChance(random => random >= probability, seed);
+        return this.withLayers(
+            (begin, end) => [
+                ...others.query(begin, end).map(e => layerEvent(others, e)),
+                ...chosen.query(begin, end).map(e => layerEvent(chosen, e))
+            ],
+            { type: 'sometimesBy', probability, seed }
+        );
+    }
 
-        // Apply speed
-        if (this.speed !== 1.0) {
-            events = events.map(e => ({
-                ...e,
-                time: e.time / this.speed,
-                duration: e.duration / this.speed
-            }));
-
-            // If sped up, we might need to repeat events
-            if (this.speed > 1.0) {
-                const repetitions = Math.floor(this.speed);
-                const allEvents = [];
-                for (let i = 0; i < repetitions; i++) {
-                    events.forEach(e => {
-                        allEvents.push({
-                            ...e,
-                            time: (e.time + i) / repetitions
-                        });
-                    });
-                }
-                events = allEvents;
-            }
-        }
+    /**
+     * Randomly remove events
+     * @param {number} amount - Chance for each event to be removed (0-1)
+     */
+    degradeBy(amount) {
+        const seed = this.nextSeed();
+        return this.keepByChance(random => random >= amount, seed, { type: 'degradeBy', amount, seed });
+    }
 
-        // Apply reverse
-        if (this.reversed) {
-            events = events.map(e => ({
-                ...e,
-                time: 1.0 - e.time - e.duration
-            })).reverse();
-        }
+    /**
+     * Keep the events whose seeded random value (from their onset) passes a test
+     * @param {Function} keep - random (0-1) -> boolean
+     * @param {number} seed - Seed of the random stream
+     * @param {Object} transformation - Entry for toString
+     */
+    keepByChance(keep, seed, transformation = { type: 'chance', seed }) {
+        return this.withQuery(
+            (begin, end) => this.query(begin, end)
+                .filter(e => keep(window.seededRandom.valueAt(e.time, seed))),
+            transformation
+        );
+    }
 
-        // Apply conditional transformations
-        this.transformations.forEach(trans => {
-            if (trans.type === 'every' && cycleNumber % trans.n === 0) {
-                const transformed = trans.fn(new Pattern(events, this.type));
-                events = transformed.events;
-            }
-        });
+    /**
+     * Seed for a new random transformation: each one in a chain gets its own,
+     * so they don't make the same choices (and stay the same on re-evaluation)
+     */
+    nextSeed() {
+        // Offset from the mini-notation seeds (?, |), which count from 0
+        return 100 + this.transformations.filter(t => t.seed !== undefined).length;
+    }
 
-        return events;
+    /**
+     * Query the events whose onset falls in a time span
+     * @param {Fraction|number} begin - Start of the span in cycles (inclusive)
+     * @param {Fraction|number} end - End of the span in cycles (exclusive)
+     * @returns {Array} Events with absolute `time` and `duration` in cycles (Fractions)
+     */
+    queryArc(begin, end) {
+        return this.query(Fraction.from(begin), Fraction.from(end));
+    }
+
+    /**
+     * Get events for one cycle with transformations applied
+     * @param {number} cycleNumber - Current cycle number
+     * @returns {Array} Events with `time` relative to the cycle start (0-1)
+     */
+    getEventsForCycle(cycleNumber) {
+        return this.queryArc(cycleNumber, cycleNumber + 1)
+            .map(e => ({ ...e, time: e.time.sub(cycleNumber) }));
     }
 
     /**
      * Clone the pattern
      */
     clone() {
-        const cloned = new Pattern([...this.events], this.type);
-        cloned.speed = this.speed;
-        cloned.reversed = this.reversed;
+        const cloned = new Pattern([], this.type);
+        cloned.query = this.query;
+        cloned.continuous = this.continuous;
         cloned.transformations = [...this.transformations];
         cloned.effects = { ...this.effects };
         cloned.synthType = this.synthType;
@@ -230,42 +888,331 @@ class Pattern {
     toString() {
         const effectsStr = Object.entries(this.effects)
             .filter(([k, v]) => v !== 0 && v !== 0.5 && v !== null)
-            .map(([k, v]) => `${k}:${v}`)
+            .map(([k, v]) => `${k}:${v instanceof Pattern ? 'pattern' : v}`)
             .join(' ');
 
         const transStr = this.transformations
             .map(t => t.type)
             .join(',');
 
-        return `Pattern(${this.type}, events:${this.events.length}${transStr ? ', trans:' + transStr : ''}${effectsStr ? ', fx:' + effectsStr : ''})`;
+        return `Pattern(${this.type}, events:${this.queryArc(0, 1).length}${transStr ? ', trans:' + transStr : ''}${effectsStr ? ', fx:' + effectsStr : ''})`;
     }
 }
 
 /**
- * Stack multiple patterns together
- * @param {...Pattern} patterns - Patterns to stack
- * @returns {Pattern} Combined pattern with all events
+ * Split a time span at cycle boundaries
+ * @param {Fraction} begin - Start in cycles
+ * @param {Fraction} end - End in cycles
+ * @returns {Array} Pieces {cycle (integer), begin, end (Fractions)}, each inside one cycle
  */
-function stack(...patterns) {
-    // Combine all events from all patterns
-    const allEvents = [];
-    let combinedType = 'sound';
+function splitCycles(begin, end) {
+    // Point queries (signals sampled at one instant) still belong to a cycle
+    if (begin.eq(end)) {
+        return [{ cycle: begin.floor(), begin, end }];
+    }
+
+    const spans = [];
+    for (let cycle = begin.floor(); end.gt(cycle); cycle++) {
+        spans.push({ cycle, begin: begin.max(cycle), end: end.min(cycle + 1) });
+    }
+    return spans;
+}
+
+/**
+ * Query the events sounding during [begin, end), including the ones that
+ * started before begin (a slowed note, a chord being arpeggiated): steps back
+ * a cycle at a time until it has found an event starting by begin and is
+ * further back than the longest event found
+ * @param {Pattern} pattern - Pattern to query
+ * @param {Fraction} begin - Start in cycles
+ * @param {Fraction} end - End in cycles
+ * @returns {Array} Events that start in the span or last into it
+ */
+function queryOverlapping(pattern, begin, end) {
+    let start = new Fraction(begin.floor());
+    let events = pattern.query(start, end);
+    const covered = () => events.some(e => e.time.lte(begin))
+        && begin.sub(start).gte(events.reduce((max, e) => e.duration.max(max), new Fraction(0)));
+
+    for (let i = 0; i < MAX_LOOKBACK && !covered(); i++) {
+        events = [...pattern.query(start.sub(1), start), ...events];
+        start = start.sub(1);
+    }
+    return events.filter(e => e.time.gte(begin) || e.time.add(e.duration).gt(begin));
+}
+
+/**
+ * Build the query function of a pattern source
+ * @param {Array|Object|Function} source - Per-cycle events, mini-notation AST or query function
+ *        (query functions receive Fraction bounds and are used as they are: combined
+ *        patterns query layers that already converted their own note names)
+ * @param {string} type - Pattern type; note patterns turn note/chord names into MIDI numbers
+ * @returns {Function} (begin, end) -> events with absolute times
+ */
+function createQuery(source, type) {
+    if (typeof source === 'function') {
+        return source;
+    }
+
+    const eventsForCycle = Array.isArray(source)
+        ? () => source.map(e => ({ ...e, time: Fraction.from(e.time), duration: Fraction.from(e.duration) }))
+        : cycle => window.parser.queryAST(source, cycle);
+
+    const query = (begin, end) => splitCycles(begin, end).flatMap(span =>
+        eventsForCycle(span.cycle)
+            .map(e => ({ ...e, time: e.time.add(span.cycle) }))
+            .filter(e => e.time.gte(span.begin) && e.time.lt(span.end))
+    );
+
+    if (type !== 'note') {
+        return query;
+    }
+
+    // Note and chord names become MIDI numbers (degrees are left for .scale())
+    return (begin, end) => query(begin, end).flatMap(e => isNoteName(e.sound)
+        ? window.theory.notesOf(e.sound).map(midi => ({ ...e, sound: midi }))
+        : [e]);
+}
+
+/**
+ * Whether an event value is a note ("c3") or chord ("c3'maj7") name
+ */
+function isNoteName(value) {
+    return typeof value === 'string' && (window.parser.isNote(value) || window.theory.isChord(value));
+}
+
+/**
+ * Replace the record of a new pattern's last transformation
+ * (for transformations built on another one)
+ * @param {Pattern} pattern - Pattern just returned by a transformation
+ * @param {Object} transformation - Transformation record
+ */
+function relabel(pattern, transformation) {
+    pattern.transformations[pattern.transformations.length - 1] = transformation;
+    return pattern;
+}
+
+/**
+ * Modulo that stays positive for negative cycles
+ */
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
+
+/**
+ * Events of one cycle span: from the transformed pattern between start and
+ * end (positions within the cycle), from the original elsewhere, each tagged
+ * with the effects of the pattern it comes from
+ * @param {Pattern} transformed - Transformed pattern
+ * @param {Pattern} original - Original pattern
+ * @param {Object} span - Cycle span from splitCycles()
+ * @param {number} start - Start position in the cycle (0-1)
+ * @param {number} end - End position in the cycle (0-1)
+ */
+function playWithin(transformed, original, span, start, end) {
+    const inside = e => {
+        const position = e.time.sub(span.cycle);
+        return position.gte(start) && position.lt(end);
+    };
+    return [
+        ...transformed.query(span.begin, span.end).filter(inside).map(e => layerEvent(transformed, e)),
+        ...original.query(span.begin, span.end).filter(e => !inside(e)).map(e => layerEvent(original, e))
+    ];
+}
+
+/**
+ * Delay an event's onset without moving it in the pattern
+ * (the scheduler plays it at time + offset)
+ * @param {Object} event - Queried event
+ * @param {Fraction|number} cycles - Delay in cycles
+ */
+function delayEvent(event, cycles) {
+    return { ...event, offset: (event.offset || new Fraction(0)).add(cycles) };
+}
+
+/**
+ * Group simultaneous events (the notes of a chord), in onset order
+ * @param {Array} events - Queried events
+ * @returns {Array<Array>} One array of events per onset
+ */
+function groupChords(events) {
+    const chords = new Map();
+    events.forEach(e => {
+        const key = String(e.time);
+        if (!chords.has(key)) {
+            chords.set(key, []);
+        }
+        chords.get(key).push(e);
+    });
+    return [...chords.values()].sort((a, b) => a[0].time.compare(b[0].time));
+}
+
+/**
+ * Events sorted by note number, lowest first
+ */
+function sortByPitch(events) {
+    return [...events].sort((a, b) => parseFloat(a.sound) - parseFloat(b.sound));
+}
+
+/**
+ * Raw value of a control pattern at a point in time (see valueAt)
+ * @param {*|Pattern} values - Plain value or control pattern
+ * @param {Fraction} time - Position in cycles
+ * @returns {*} Event value, undefined when no event has started yet
+ */
+function soundAt(values, time) {
+    if (!(values instanceof Pattern)) {
+        return values;
+    }
+    if (values.continuous) {
+        const sample = values.queryArc(time, time)[0];
+        return sample ? sample.sound : undefined;
+    }
+
+    const cycle = Fraction.from(time).floor();
+    let value = null;
+    values.queryArc(cycle, cycle + 1).forEach(v => {
+        if (v.time.lte(time) && (value === null || v.time.gte(value.time))) {
+            value = v;
+        }
+    });
+    return value ? value.sound : undefined;
+}
+
+/**
+ * Numeric value of a control pattern at a point in time
+ * (the signal value for continuous patterns, otherwise the last control
+ * event starting at or before that time, within its cycle)
+ * @param {number|Pattern} values - Plain number or control pattern
+ * @param {Fraction} time - Position in cycles
+ * @returns {number|undefined} Value, undefined when no event has started yet
+ */
+function valueAt(values, time) {
+    if (!(values instanceof Pattern)) {
+        return values;
+    }
+    const value = soundAt(values, time);
+    return value === undefined ? undefined : parseFloat(value);
+}
+
+/**
+ * Turn an effect argument into a stored effect value
+ * @param {string} name - Effect name (for clamping)
+ * @param {number|string|Pattern|null} value - Number, mini-notation string or control pattern
+ * @returns {number|Pattern|null} Clamped number, or a control pattern
+ */
+function toControl(name, value) {
+    if (typeof value === 'string') {
+        return new Pattern(window.parser.parseAST(value));
+    }
+    if (value instanceof Pattern || value === null) {
+        return value;
+    }
+    return clampEffect(name, value);
+}
+
+/**
+ * Keep an effect value inside its allowed range (unclamped effects pass through)
+ */
+function clampEffect(name, value) {
+    const range = EFFECT_RANGES[name];
+    return range ? Math.max(range[0], Math.min(range[1], value)) : value;
+}
+
+/**
+ * Type of a pattern combining several patterns
+ * @param {Array<Pattern>} patterns - Combined patterns
+ */
+function combinedType(patterns) {
+    let type = 'sound';
 
     patterns.forEach(pattern => {
-        if (pattern instanceof Pattern) {
-            // Get base events from this pattern
-            const events = pattern.getEventsForCycle(0);
-            allEvents.push(...events);
-            // Use first non-sound type if any
-            if (pattern.type !== 'sound') {
-                combinedType = pattern.type;
-            }
+        // Use first non-sound type if any
+        if (pattern.type !== 'sound') {
+            type = pattern.type;
         }
     });
 
-    return new Pattern(allEvents, combinedType);
+    return type;
+}
+
+/**
+ * Whether combined layers are all signals (the combination is one too)
+ * @param {Array<Pattern>} patterns - Layers
+ */
+function isContinuous(patterns) {
+    return patterns.length > 0 && patterns.every(pattern => pattern.continuous);
+}
+
+/**
+ * Tag an event with the type, synth and effects of the layer it comes from,
+ * so combined patterns play each layer like its own slot.
+ * Already tagged events (nested stacks) keep their layer; the outer
+ * pattern's synth and non-default effects win.
+ * @param {Pattern} layer - Pattern the event was queried from
+ * @param {Object} event - Event in the layer's time
+ */
+function layerEvent(layer, event) {
+    return {
+        ...event,
+        type: event.type || layer.type,
+        synthType: layer.synthType || event.synthType,
+        effects: layer.effectsFor(event, event.time)
+    };
+}
+
+/**
+ * Stack multiple patterns together
+ * @param {...Pattern} patterns - Patterns to stack
+ * @returns {Pattern} Combined pattern querying every layer
+ */
+function stack(...patterns) {
+    const layers = patterns.filter(pattern => pattern instanceof Pattern);
+
+    const stacked = new Pattern((begin, end) => layers.flatMap(layer =>
+        layer.queryArc(begin, end).map(e => layerEvent(layer, e))
+    ), combinedType(layers));
+    stacked.continuous = isContinuous(layers);
+    return stacked;
+}
+
+/**
+ * Play patterns one after the other, one cycle each
+ * Each pattern only advances when it plays: cat(a, b) plays a0 b0 a1 b1...
+ * @param {...Pattern} patterns - Patterns to concatenate
+ * @returns {Pattern} Pattern cycling through the patterns
+ */
+function cat(...patterns) {
+    const layers = patterns.filter(pattern => pattern instanceof Pattern);
+    const count = layers.length;
+    if (count === 0) {
+        return new Pattern([]);
+    }
+
+    const concatenated = new Pattern((begin, end) => splitCycles(begin, end).flatMap(span => {
+        const index = ((span.cycle % count) + count) % count;
+        // Pattern time = outer time - shift (its cycle count is floor(cycle / count))
+        const shift = span.cycle - Math.floor(span.cycle / count);
+        return layers[index].queryArc(span.begin.sub(shift), span.end.sub(shift))
+            .map(e => ({ ...layerEvent(layers[index], e), time: e.time.add(shift) }));
+    }), combinedType(layers));
+    concatenated.continuous = isContinuous(layers);
+    return concatenated;
+}
+
+/**
+ * Play patterns one after the other, all within one cycle
+ * @param {...Pattern} patterns - Patterns to concatenate
+ * @returns {Pattern} Pattern squeezing every pattern into one cycle
+ */
+function fastcat(...patterns) {
+    const layers = patterns.filter(pattern => pattern instanceof Pattern);
+    return cat(...layers).fast(Math.max(1, layers.length));
 }
 
 // Make available globally
 window.Pattern = Pattern;
 window.stack = stack;
+window.cat = cat;
+window.fastcat = fastcat;
+window.seq = fastcat;
@@ -0,0 +1,40 @@
+/**
+ * AlgoSignalSound - Seeded Randomness
+ * Deterministic pseudo-random values derived from pattern time
+ *
+ * The same cycle position (and seed) always gives the same value, so random
+ * variations replay identically when a session restarts from the same cycle.
+ * Same idea as TidalCycles' timeToRand, with the salt hashed in so that
+ * operators with different salts make independent choices.
+ */
+
+class SeededRandom {
+    constructor(seed = 0) {
+        this.seed = seed; // Global seed: change it to get a different (but repeatable) variation
+    }
+
+    /**
+     * Random value in [0, 1) for a position in time
+     * @param {number} time - Position in cycles (cycle number + position in cycle)
+     * @param {number} salt - Per-operator seed, decorrelates several random operators
+     * @returns {number} Value between 0 (inclusive) and 1 (exclusive)
+     */
+    valueAt(time, salt = 0) {
+        const x = (Number(time) + this.seed) / 300;
+
+        // Fractional part scaled to 29 bits, combined with the salt,
+        // then a 32-bit integer hash (MurmurHash3 finalizer)
+        let h = Math.trunc((x - Math.floor(x)) * 536870912);
+        h = (h + Math.imul(salt, 0x9E3779B1)) | 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+
+        return (h >>> 0) / 4294967296;
+    }
+}
+
+// Create global instance
+window.seededRandom = new SeededRandom();
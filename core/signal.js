@@ -0,0 +1,65 @@
+/**
+ * AlgoSignalSound - Signals
+ * Continuous patterns for modulating effects
+ *
+ * A signal has a value at every point in time instead of discrete events.
+ * Used as an effect parameter it is sampled at each event's onset:
+ * .lpf(sine.range(300, 3000).slow(8)) or .pan(rand). Values go from 0 to 1
+ * over one cycle; .segment(n) turns a signal into n events per cycle.
+ */
+
+/**
+ * Create a continuous pattern from a function of time
+ * @param {Function} fn - (time in cycles as a number) => value
+ * @returns {Pattern}
+ */
+function signal(fn) {
+    // Only a point query (begin === end) has an event: the value at that
+    // instant. Spans have no events, so a signal played on its own is silent
+    // instead of firing once per query; .segment(n) samples it into steps.
+    const pattern = new Pattern(
+        (begin, end) => (begin.eq(end) ? [{ sound: fn(Number(begin)), time: begin, duration: new Fraction(0) }] : [])
+    );
+    pattern.continuous = true;
+    return pattern;
+}
+
+/**
+ * Position within the current cycle (0 to 1)
+ */
+function cyclePosition(t) {
+    return t - Math.floor(t);
+}
+
+/**
+ * Smooth interpolation curve between 0 and 1 (flat at both ends)
+ */
+function smootherStep(x) {
+    return x * x * x * (x * (x * 6 - 15) + 10);
+}
+
+// Seed for random signals, apart from the parser's ? seeds (0..n)
+// and the seeds of pattern transformations (100..n)
+const SIGNAL_SEED = 1000;
+
+const sine = signal(t => (Math.sin(2 * Math.PI * t) + 1) / 2);
+const saw = signal(t => cyclePosition(t));
+const tri = signal(t => 1 - Math.abs(2 * cyclePosition(t) - 1));
+const square = signal(t => (cyclePosition(t) < 0.5 ? 0 : 1));
+const rand = signal(t => window.seededRandom.valueAt(t, SIGNAL_SEED));
+
+// Random values once per cycle, smoothly interpolated in between
+const perlin = signal(t => {
+    const from = window.seededRandom.valueAt(Math.floor(t), SIGNAL_SEED + 1);
+    const to = window.seededRandom.valueAt(Math.floor(t) + 1, SIGNAL_SEED + 1);
+    return from + smootherStep(cyclePosition(t)) * (to - from);
+});
+
+// Make available globally
+window.signal = signal;
+window.sine = sine;
+window.saw = saw;
+window.tri = tri;
+window.square = square;
+window.rand = rand;
+window.perlin = perlin;
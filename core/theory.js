@@ -0,0 +1,199 @@
+/**
+ * AlgoSignalSound - Music Theory
+ * Chord and scale tables for note patterns
+ *
+ * Chords are written root'name ("c3'maj7", "eb'min") and expand into
+ * simultaneous notes. Scale degrees are plain numbers ("0 2 4") turned into
+ * notes by Pattern.scale("c:minor"). Arp modes and voicings rearrange the
+ * notes of a chord.
+ */
+
+class MusicTheory {
+    constructor() {
+        // Semitones above the root
+        this.chords = {
+            major: [0, 4, 7], maj: [0, 4, 7], M: [0, 4, 7],
+            minor: [0, 3, 7], min: [0, 3, 7], m: [0, 3, 7],
+            aug: [0, 4, 8], dim: [0, 3, 6],
+            sus2: [0, 2, 7], sus4: [0, 5, 7],
+            six: [0, 4, 7, 9], 6: [0, 4, 7, 9],
+            m6: [0, 3, 7, 9], min6: [0, 3, 7, 9],
+            dom7: [0, 4, 7, 10], 7: [0, 4, 7, 10],
+            maj7: [0, 4, 7, 11], major7: [0, 4, 7, 11],
+            m7: [0, 3, 7, 10], min7: [0, 3, 7, 10], minor7: [0, 3, 7, 10],
+            dim7: [0, 3, 6, 9],
+            m7b5: [0, 3, 6, 10],
+            add9: [0, 4, 7, 14],
+            dom9: [0, 4, 7, 10, 14], 9: [0, 4, 7, 10, 14],
+            maj9: [0, 4, 7, 11, 14], major9: [0, 4, 7, 11, 14],
+            m9: [0, 3, 7, 10, 14], min9: [0, 3, 7, 10, 14], minor9: [0, 3, 7, 10, 14],
+            11: [0, 4, 7, 10, 14, 17],
+            m11: [0, 3, 7, 10, 14, 17], min11: [0, 3, 7, 10, 14, 17],
+            13: [0, 4, 7, 10, 14, 21],
+            m13: [0, 3, 7, 10, 14, 21], min13: [0, 3, 7, 10, 14, 21]
+        };
+
+        // Semitones of each degree within one octave
+        this.scales = {
+            major: [0, 2, 4, 5, 7, 9, 11], ionian: [0, 2, 4, 5, 7, 9, 11],
+            minor: [0, 2, 3, 5, 7, 8, 10], aeolian: [0, 2, 3, 5, 7, 8, 10],
+            dorian: [0, 2, 3, 5, 7, 9, 10],
+            phrygian: [0, 1, 3, 5, 7, 8, 10],
+            lydian: [0, 2, 4, 6, 7, 9, 11],
+            mixolydian: [0, 2, 4, 5, 7, 9, 10],
+            locrian: [0, 1, 3, 5, 6, 8, 10],
+            harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+            melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+            majPent: [0, 2, 4, 7, 9], pentatonic: [0, 2, 4, 7, 9],
+            minPent: [0, 3, 5, 7, 10],
+            blues: [0, 3, 5, 6, 7, 10],
+            wholetone: [0, 2, 4, 6, 8, 10],
+            chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+        };
+
+        // Orders of the notes of a chord (lowest first) for .arp()
+        this.arpModes = {
+            up: notes => notes,
+            down: notes => [...notes].reverse(),
+            updown: notes => [...notes.slice(0, -1), ...[...notes].reverse().slice(0, -1)],
+            downup: notes => [...[...notes].reverse().slice(0, -1), ...notes.slice(0, -1)],
+            converge: notes => this.converge(notes),
+            diverge: notes => this.converge(notes).reverse(),
+            thumbup: notes => notes.slice(1).flatMap(note => [notes[0], note])
+        };
+    }
+
+    /**
+     * Split a chord word into root and chord name
+     * @param {string} word - Chord like "c3'maj7"
+     * @returns {Object|null} {root, name} or null if the word has no chord part
+     */
+    splitChord(word) {
+        const match = String(word).match(/^([a-g][#b]?-?\d*)'(\w+)$/i);
+        return match ? { root: match[1], name: match[2] } : null;
+    }
+
+    /**
+     * Whether a word is a known chord ("c3'maj7")
+     */
+    isChord(word) {
+        const chord = this.splitChord(word);
+        return chord !== null && this.chords.hasOwnProperty(chord.name);
+    }
+
+    /**
+     * MIDI notes of a chord
+     * @param {string} word - Chord like "c3'maj7"
+     * @returns {Array<number>} MIDI notes, lowest first
+     */
+    chordNotes(word) {
+        const chord = this.splitChord(word);
+        if (!chord || !this.chords.hasOwnProperty(chord.name)) {
+            throw new Error(`Unknown chord '${word}'`);
+        }
+
+        const root = window.parser.parseNote(chord.root);
+        return this.chords[chord.name].map(interval => root + interval);
+    }
+
+    /**
+     * MIDI notes of a note or chord word
+     * @param {string|number} word - Note ("c3"), chord ("c3'maj7") or MIDI number
+     * @returns {Array<number>} One note, or every note of the chord
+     */
+    notesOf(word) {
+        if (typeof word === 'number') {
+            return [word];
+        }
+        return this.splitChord(word) ? this.chordNotes(word) : [window.parser.parseNote(word)];
+    }
+
+    /**
+     * Chord notes from the outside in: lowest, highest, second lowest...
+     * @param {Array} notes - Notes, lowest first
+     */
+    converge(notes) {
+        const rest = [...notes];
+        const order = [];
+        while (rest.length > 0) {
+            order.push(order.length % 2 === 0 ? rest.shift() : rest.pop());
+        }
+        return order;
+    }
+
+    /**
+     * Arpeggio order of chord notes
+     * @param {Array} notes - Notes, lowest first
+     * @param {string} mode - Arp mode (up, down, updown, downup, converge, diverge, thumbup)
+     * @returns {Array} Notes in playing order
+     */
+    arpeggio(notes, mode) {
+        if (!this.arpModes.hasOwnProperty(mode)) {
+            throw new Error(`Unknown arp mode '${mode}' (available: ${Object.keys(this.arpModes).join(', ')})`);
+        }
+        return notes.length > 1 ? this.arpModes[mode](notes) : notes;
+    }
+
+    /**
+     * Voice a chord as its inversion closest to an anchor note, so that
+     * successive chords around the same anchor move by small steps
+     * @param {Array<number>} notes - MIDI notes of the chord
+     * @param {number} anchor - MIDI note the voicing is centred on
+     * @returns {Array<number>} Re-voiced MIDI notes, lowest first
+     */
+    voiceChord(notes, anchor) {
+        const sorted = [...notes].sort((a, b) => a - b);
+        let best = sorted;
+        let bestDistance = Infinity;
+
+        sorted.forEach((_, inversion) => {
+            // Inversion: the lowest notes move up an octave
+            const voiced = [...sorted.slice(inversion), ...sorted.slice(0, inversion).map(note => note + 12)];
+            const centre = voiced.reduce((sum, note) => sum + note, 0) / voiced.length;
+            const shift = Math.round((anchor - centre) / 12) * 12;
+            const distance = Math.abs(centre + shift - anchor);
+
+            if (distance < bestDistance) {
+                best = voiced.map(note => note + shift);
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Parse a scale name like "c:minor" or "eb3:dorian"
+     * @param {string} name - Root and scale name separated by ':'
+     * @returns {Object} {root (MIDI), intervals}
+     */
+    parseScale(name) {
+        const [rootName, scaleName] = String(name).split(':');
+        if (!scaleName || !window.parser.isNote(rootName)) {
+            throw new Error(`Invalid scale '${name}', expected root:scale like "c:minor"`);
+        }
+        if (!this.scales.hasOwnProperty(scaleName)) {
+            throw new Error(`Unknown scale '${scaleName}' (available: ${Object.keys(this.scales).join(', ')})`);
+        }
+
+        return { root: window.parser.parseNote(rootName), intervals: this.scales[scaleName] };
+    }
+
+    /**
+     * MIDI note of a scale degree (degrees past the scale length wrap into the next octaves)
+     * @param {number} degree - Scale degree, 0 is the root, negative goes down
+     * @param {Object} scale - Parsed scale from parseScale()
+     * @returns {number} MIDI note
+     */
+    scaleNote(degree, scale) {
+        const size = scale.intervals.length;
+        const step = Math.round(degree);
+        const octave = Math.floor(step / size);
+        const index = ((step % size) + size) % size;
+
+        return scale.root + octave * 12 + scale.intervals[index];
+    }
+}
+
+// Create global instance
+window.theory = new MusicTheory();
@@ -9,6 +9,8 @@ class CodeEvaluator {
         this.currentSlotIndex = 0; // Track next available slot
         // Pattern slots like TidalCycles (d1, d2, d3, etc.)
         this.slots = {};
+        // Code being evaluated, so patterns can locate their strings in the editor
+        this.evaluation = null;
     }
 
     /**
@@ -30,9 +32,13 @@ class CodeEvaluator {
     /**
      * Evaluate a line of code
      * @param {string} code - Code to evaluate
-     * @returns {Object} Result object
+     * @param {number} lineNumber - Editor line of the code (optional, enables event locations)
+     * @returns {Object} Result object (failed mini-notation parses also get a `location`)
      */
-    evaluate(code) {
+    evaluate(code, lineNumber = null) {
+        // Leading whitespace, so error columns match the editor line
+        const indent = code.length - code.trimStart().length;
+        const lines = code.split('\n');
         code = code.trim();
 
         // Ignore empty lines and comments
@@ -40,6 +46,10 @@ class CodeEvaluator {
             return { success: true, message: 'Skipped comment/empty line' };
         }
 
+        // lines: the evaluated editor lines as they were, for event locations
+        // located: offsets of the string literals already matched to a pattern
+        this.evaluation = { code, indent, lineNumber, lines, located: new Set() };
+
         try {
             // Create safe evaluation context with our API
             const context = this.createContext();
@@ -84,7 +94,7 @@ class CodeEvaluator {
                 }
                 
                 const autoSlot = this.getNextAvailableSlot();
-                const stackedPattern = new Pattern(result, 'stacked');
+                const stackedPattern = stack(...result);
                 window.scheduler.setPattern(autoSlot, stackedPattern);
                 this.slots[autoSlot] = stackedPattern;
                 return {
@@ -97,8 +107,100 @@ class CodeEvaluator {
             return { success: true, message: '✓ Evaluated', result };
 
         } catch (error) {
+            if (error instanceof MiniNotationError) {
+                const location = this.locateNotationError(error, code, indent);
+                if (location) {
+                    return {
+                        success: false,
+                        message: `✗ Error: ${error.message} (col ${location.from + 1})`,
+                        error,
+                        location
+                    };
+                }
+            }
             return { success: false, message: `✗ Error: ${error.message}`, error };
+        } finally {
+            this.evaluation = null;
+        }
+    }
+
+    /**
+     * Find where a mini-notation error sits in the evaluated code
+     * @param {MiniNotationError} error - Error with offsets inside its pattern string
+     * @param {string} code - Evaluated (trimmed) code
+     * @param {number} indent - Whitespace removed from the start of the code
+     * @returns {Object|null} {line, from, to} relative to the evaluated code, null if not found
+     */
+    locateNotationError(error, code, indent) {
+        // No skipping of located literals: the failing string was usually
+        // located already (before its notes were checked), and identical
+        // strings fail the same way anyway
+        const position = this.findString(error.source, code, indent, error.start);
+        if (!position) {
+            return null;
+        }
+
+        const from = position.column;
+        return { line: position.line, from, to: from + (error.end - error.start) };
+    }
+
+    /**
+     * Find a quoted string literal in the evaluated code
+     * @param {string} text - Content of the string
+     * @param {string} code - Evaluated (trimmed) code
+     * @param {number} indent - Whitespace removed from the start of the code
+     * @param {number} offset - Offset inside the string to locate (default: its first character)
+     * @param {Set<number>} skip - Literals (by code offset) already matched, e.g. an
+     *   identical string earlier on the line
+     * @returns {Object|null} {line, column, index} relative to the evaluated code
+     *   (index: offset of the opening quote), null if not found
+     */
+    findString(text, code, indent, offset = 0, skip = new Set()) {
+        // The whole literal, quotes included, in source order
+        const literals = [];
+        ['"', "'", '`'].forEach(quote => {
+            const literal = quote + text + quote;
+            for (let index = code.indexOf(literal); index >= 0; index = code.indexOf(literal, index + 1)) {
+                literals.push(index);
+            }
+        });
+        const index = literals.sort((a, b) => a - b).find(start => !skip.has(start));
+        if (index === undefined) {
+            return null;
         }
+
+        // The string starts right after its opening quote
+        const before = code.slice(0, index + 1 + offset).split('\n');
+        const line = before.length - 1;
+
+        return { line, column: before[line].length + (line === 0 ? indent : 0), index };
+    }
+
+    /**
+     * Editor position of a mini-notation string in the code being evaluated
+     * @param {string} notation - Mini-notation string
+     * @returns {Object|null} {line, column, lines} (lines: editor text from the string's
+     *   line on, at evaluation) or null when the line is unknown
+     */
+    locateNotation(notation) {
+        const evaluation = this.evaluation;
+        if (!evaluation || evaluation.lineNumber === null) {
+            return null;
+        }
+
+        // Patterns are built in source order: skip literals already located,
+        // so a repeated string maps to its own occurrence
+        const position = this.findString(notation, evaluation.code, evaluation.indent, 0, evaluation.located);
+        if (!position) {
+            return null;
+        }
+        evaluation.located.add(position.index);
+
+        return {
+            line: evaluation.lineNumber + position.line,
+            column: position.column,
+            lines: evaluation.lines.slice(position.line)
+        };
     }
 
     /**
@@ -110,6 +212,9 @@ class CodeEvaluator {
             s: this.soundPattern.bind(this),
             note: this.soundPattern.bind(this),  // Alias: note() also detects automatically
             stack: window.stack,
+            cat: (...patterns) => window.cat(...this.toPatterns(patterns)),
+            fastcat: (...patterns) => window.fastcat(...this.toPatterns(patterns)),
+            seq: (...patterns) => window.seq(...this.toPatterns(patterns)),
 
             // Pattern slots (like TidalCycles d1, d2, etc.)
             d1: this.createSlot('d1'),
@@ -125,6 +230,10 @@ class CodeEvaluator {
             // Control functions
             hush: this.hush.bind(this),
             silence: this.silence.bind(this),
+            setcps: this.setcps.bind(this),
+            setbpm: this.setbpm.bind(this),
+            tempoRamp: this.tempoRamp.bind(this),
+            setquant: this.setquant.bind(this),
 
             // Master effects controls
             masterLPF: this.masterLPF.bind(this),
@@ -143,6 +252,45 @@ class CodeEvaluator {
             fast: (n) => (p) => p.fast(n),
             slow: (n) => (p) => p.slow(n),
             rev: () => (p) => p.rev(),
+            degradeBy: (amount) => (p) => p.degradeBy(amount),
+            superimpose: (fn) => (p) => p.superimpose(fn),
+            off: (amount, fn) => (p) => p.off(amount, fn),
+            layer: (...fns) => (p) => p.layer(...fns),
+            ply: (n) => (p) => p.ply(n),
+            iter: (n) => (p) => p.iter(n),
+            palindrome: () => (p) => p.palindrome(),
+            rot: (n) => (p) => p.rot(n),
+            linger: (fraction) => (p) => p.linger(fraction),
+            segment: (n) => (p) => p.segment(n),
+            range: (min, max) => (p) => p.range(min, max),
+            quantize: (step) => (p) => p.quantize(step),
+            add: (amount) => (p) => p.add(amount),
+            sub: (amount) => (p) => p.sub(amount),
+            transpose: (semitones) => (p) => p.transpose(semitones),
+            octave: (octaves) => (p) => p.octave(octaves),
+            arp: (modes) => (p) => p.arp(modes),
+            voicing: (anchor) => (p) => p.voicing(anchor),
+            strum: (amount) => (p) => p.strum(amount),
+            swing: (amount, subdivision) => (p) => p.swing(amount, subdivision),
+            shuffle: (subdivision) => (p) => p.shuffle(subdivision),
+            late: (amount) => (p) => p.late(amount),
+            nudge: (seconds) => (p) => p.nudge(seconds),
+            every: (n, offset, fn) => (p) => p.every(n, offset, fn),
+            whenmod: (a, b, fn) => (p) => p.whenmod(a, b, fn),
+            within: (span, fn) => (p) => p.within(span, fn),
+            firstOf: (n, fn) => (p) => p.firstOf(n, fn),
+            lastOf: (n, fn) => (p) => p.lastOf(n, fn),
+            chunk: (n, fn) => (p) => p.chunk(n, fn),
+            when: (predicate, fn) => (p) => p.when(predicate, fn),
+
+            // Continuous signals (0 to 1 per cycle)
+            signal: window.signal,
+            sine: window.sine,
+            saw: window.saw,
+            tri: window.tri,
+            square: window.square,
+            rand: window.rand,
+            perlin: window.perlin,
 
             // Math/random
             Math: Math,
@@ -158,13 +306,17 @@ class CodeEvaluator {
 
     /**
      * Create a slot function (like TidalCycles d1, d2, etc.)
+     * Usage: d1(pattern), d1(pattern, 4) or d1(pattern, {quant: 0}) to choose
+     * when the change launches (cycles; 0 = now, global quantum by default)
      * @param {string} slotName - Name of the slot (d1, d2, etc.)
      */
     createSlot(slotName) {
-        return (pattern) => {
+        return (pattern, options) => {
+            const quantum = this.launchQuantum(options);
+
             if (!pattern) {
                 // Empty slot = silence this slot
-                window.scheduler.removePattern(slotName);
+                window.scheduler.removePattern(slotName, quantum);
                 this.slots[slotName] = null;
 
                 // Also clear highlight for this slot
@@ -176,13 +328,26 @@ class CodeEvaluator {
                 return { success: true, message: `✓ ${slotName} silenced` };
             }
 
-            // Register pattern in this slot (replaces previous)
-            window.scheduler.setPattern(slotName, pattern);
+            // Register pattern in this slot (replaces previous on the next launch boundary)
+            window.scheduler.setPattern(slotName, pattern, quantum);
             this.slots[slotName] = pattern;
-            return { success: true, message: `✓ ${slotName}: ${pattern.toString()}`, pattern };
+
+            const launch = window.scheduler.pendingPatterns.get(slotName);
+            const when = launch ? ` (launches at cycle ${launch.cycle})` : '';
+            return { success: true, message: `✓ ${slotName}: ${pattern.toString()}${when}`, pattern };
         };
     }
 
+    /**
+     * Launch quantum of a slot call
+     * @param {number|Object} options - Cycles, or {quant: cycles}
+     * @returns {number} Cycles, the scheduler's global quantum when not given
+     */
+    launchQuantum(options) {
+        const quantum = typeof options === 'object' && options !== null ? options.quant : options;
+        return quantum === undefined ? window.scheduler.quantum : quantum;
+    }
+
     /**
      * Create a pattern - intelligently detects if it's a note or sample
      * Works like TidalCycles: detects automatically
@@ -197,67 +362,70 @@ class CodeEvaluator {
 
         // Check if this looks like musical notes or samples
         const isNote = this.looksLikeNotes(notation);
+        const origin = this.locateNotation(notation);
 
         if (isNote) {
             // Treat as notes (like TidalCycles)
-            return this.notePattern(notation);
+            return this.notePattern(notation, origin);
         } else {
             // Treat as samples (drums, sounds)
-            return this.samplePattern(notation);
+            return this.samplePattern(notation, origin);
         }
     }
 
+    /**
+     * Turn combinator arguments into patterns (strings are parsed like s()/note())
+     * @param {Array} values - Patterns or mini-notation strings
+     * @returns {Array<Pattern>} Patterns (empty strings are dropped)
+     */
+    toPatterns(values) {
+        return values
+            .map(value => typeof value === 'string' ? this.soundPattern(value) : value)
+            .filter(value => value instanceof Pattern);
+    }
+
     /**
      * Detect if a notation string contains musical notes
      * @param {string} notation - Input string
-     * @returns {boolean} True if it looks like notes
+     * @returns {boolean} True if any word is a note with an octave (c3, d#4, c-1) or a chord (c3'maj7)
      */
     looksLikeNotes(notation) {
-        // Extract individual items (split by space)
-        const items = notation.trim().split(/\s+/);
-        
-        // Check first few items for note patterns
-        for (let i = 0; i < Math.min(3, items.length); i++) {
-            const item = items[i].toLowerCase();
-            
-            // Remove repetition markers (*, ~, etc)
-            const cleanItem = item.replace(/[*~<>]/g, '').split(/[\d]/)[0];
-            
-            // Check if it starts with a note name (a-g)
-            if (/^[a-g][#b]?\d/.test(item)) {
-                return true; // It's a note (e.g., c3, d#4, eb2)
+        const parser = window.parser;
+        const ast = parser.parseAST(notation);
+
+        // Bare letters ("e", "b") and numbers ("0 2 4", scale degrees) stay samples
+        let isNote = false;
+        parser.forEachAtom(ast, atom => {
+            if (/^[a-g][#b]?-?\d$/i.test(atom.value) || window.theory.splitChord(atom.value)) {
+                isNote = true;
             }
-        }
-        
-        // If no note pattern found, assume it's samples
-        return false;
+        });
+
+        return isNote;
     }
 
     /**
      * Create a sample pattern from mini-notation
      * @param {string} notation - Mini-notation string like "bd sd hh*2"
+     * @param {Object} origin - Editor position of the string (optional)
      * @returns {Pattern} Pattern object
      */
-    samplePattern(notation) {
-        const events = window.parser.parse(notation);
-        return new Pattern(events, 'sound');
+    samplePattern(notation, origin = null) {
+        return new Pattern(window.parser.parseAST(notation, origin), 'sound');
     }
 
     /**
      * Create a note pattern from mini-notation
      * @param {string} notation - Mini-notation string like "c3 e3 g3"
+     * @param {Object} origin - Editor position of the string (optional)
      * @returns {Pattern} Pattern object
      */
-    notePattern(notation) {
-        const events = window.parser.parse(notation);
-
-        // Convert note names to MIDI numbers
-        const noteEvents = events.map(event => ({
-            ...event,
-            sound: window.parser.parseNote(event.sound)
-        }));
+    notePattern(notation, origin = null) {
+        // Catch typos here, parseNote would silently turn them into C4
+        window.parser.validateNotes(notation);
 
-        return new Pattern(noteEvents, 'note');
+        // Note names become MIDI numbers when the pattern is queried
+        return new Pattern(window.parser.parseAST(notation, origin), 'note');
     }
 
     /**
@@ -279,6 +447,52 @@ class CodeEvaluator {
         return { success: true, message: '✓ All patterns stopped (hushed)' };
     }
 
+    /**
+     * Set the tempo in cycles per second (like TidalCycles)
+     * Usage: setcps(0.5) plays one cycle every 2 seconds
+     * @param {number} cps - Cycles per second
+     */
+    setcps(cps) {
+        const scheduler = window.scheduler;
+        scheduler.setCps(cps);
+        return { success: true, message: `✓ Tempo: ${cps} cps (${scheduler.toBPM(cps)} BPM, ${scheduler.beatsPerCycle} beats per cycle)` };
+    }
+
+    /**
+     * Set the tempo in BPM, optionally with the number of beats per cycle
+     * Usage: setbpm(128) or setbpm(140, 7) for 7/8
+     * @param {number} bpm - Beats per minute (60-200)
+     * @param {number} beatsPerCycle - Beats in one cycle (4 by default)
+     */
+    setbpm(bpm, beatsPerCycle) {
+        const scheduler = window.scheduler;
+        scheduler.setBPM(bpm, beatsPerCycle);
+        const beats = beatsPerCycle || scheduler.beatsPerCycle;
+        return { success: true, message: `✓ Tempo: ${Math.max(60, Math.min(200, bpm))} BPM, ${beats} beats per cycle` };
+    }
+
+    /**
+     * Move the tempo gradually to a target BPM (for build-ups)
+     * Usage: tempoRamp(150, 8) reaches 150 BPM in 8 cycles
+     * @param {number} targetBpm - BPM at the end of the ramp
+     * @param {number} cycles - Length of the ramp in cycles
+     */
+    tempoRamp(targetBpm, cycles) {
+        window.scheduler.tempoRamp(targetBpm, cycles);
+        return { success: true, message: `✓ Tempo ramp to ${targetBpm} BPM over ${cycles} cycles` };
+    }
+
+    /**
+     * Set when pattern changes launch, for every slot
+     * Usage: setquant(4) waits for the next 4-cycle bar, setquant(0) swaps immediately
+     * @param {number} quantum - Cycles
+     */
+    setquant(quantum) {
+        window.scheduler.setQuantum(quantum);
+        const when = quantum === 0 ? 'immediately' : `every ${quantum} cycle${quantum === 1 ? '' : 's'}`;
+        return { success: true, message: `✓ Patterns launch ${when}` };
+    }
+
     /**
      * Silence - Returns null to silence a specific slot
      * Usage: d3(silence()) will only stop slot d3
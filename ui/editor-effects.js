@@ -18,8 +18,11 @@ class EditorEffects {
         
         // Active line tracking - multi-slot system
         this.activeLines = new Map(); // Map of line number -> { timestamp, slotNumber, color }
-        this.slotHighlights = new Map(); // Map of slot number -> { lineNumber, color }
+        this.slotHighlights = new Map(); // Map of slot number -> { lineNumber, color, evaluatedLine, handle }
         this.highlightDuration = Infinity; // Never auto-remove (persistent until new line)
+
+        // Token flashes for events that are sounding (CodeMirror text markers)
+        this.tokenFlashes = new Set();
         
         // Cache for line elements to improve performance
         this.lineElementCache = new Map();
@@ -183,8 +186,15 @@ class EditorEffects {
         const now = Date.now();
 
         // Store the active line for this slot
+        // (the line handle lets token flashes follow the line when code is
+        // inserted or removed above it)
         this.activeLines.set(lineNumber, { timestamp: now, slotNumber, color });
-        this.slotHighlights.set(slotNumber, { lineNumber, color });
+        this.slotHighlights.set(slotNumber, {
+            lineNumber,
+            color,
+            evaluatedLine: lineNumber,
+            handle: this.editor.getLineHandle(lineNumber)
+        });
 
         // Apply immediate highlight with slot color
         this.highlightLine(lineNumber, color);
@@ -217,6 +227,52 @@ class EditorEffects {
         }, 10);
     }
     
+    /**
+     * Flash the token that produced an event while it plays
+     * @param {Object} location - Event location {line, start, end, text} from the parser
+     * @param {string} slotId - Slot playing the event (d1, d2...)
+     * @param {number} duration - Event duration in seconds
+     */
+    flashToken(location, slotId, duration) {
+        const slotNumber = parseInt(String(slotId).substring(1)) || null;
+        const highlight = this.slotHighlights.get(slotNumber);
+
+        let line = location.line;
+        if (highlight) {
+            // Follow the line if code was inserted/removed above it
+            const current = this.editor.getLineNumber(highlight.handle);
+            if (current === null) return; // Line deleted
+            line = current + (location.line - highlight.evaluatedLine);
+        }
+        if (line < 0 || line >= this.editor.lineCount()) return;
+
+        // Columns are stale once the line has been edited, e.g. re-evaluated
+        // while the previous pattern plays until the new one launches
+        if (this.editor.getLine(line) !== location.text) return;
+
+        const color = slotNumber && this.slotColors[slotNumber] ? this.slotColors[slotNumber] : '#00ff88';
+        const r = parseInt(color.substr(1,2), 16);
+        const g = parseInt(color.substr(3,2), 16);
+        const b = parseInt(color.substr(5,2), 16);
+
+        const mark = this.editor.markText(
+            { line, ch: location.start },
+            { line, ch: location.end },
+            {
+                className: 'cm-event-flash',
+                css: `background-color: rgba(${r}, ${g}, ${b}, 0.6); box-shadow: 0 0 8px rgba(${r}, ${g}, ${b}, 0.8);`
+            }
+        );
+        this.tokenFlashes.add(mark);
+
+        // Short events still get a visible flash, long ones don't linger
+        const flashMs = Math.max(80, Math.min(duration * 1000, 300));
+        setTimeout(() => {
+            mark.clear();
+            this.tokenFlashes.delete(mark);
+        }, flashMs);
+    }
+
     /**
      * Find the background div element for a specific line number
      * Uses CodeMirror's lineInfo and DOM traversal for maximum reliability
@@ -367,6 +423,9 @@ class EditorEffects {
         }
         this.activeLines.clear();
         this.slotHighlights.clear();
+
+        this.tokenFlashes.forEach(mark => mark.clear());
+        this.tokenFlashes.clear();
     }
 
     /**
@@ -74,8 +74,9 @@ class Visualizer {
             return;
         }
 
-        // Get current cycle progress
-        const cycleProgress = (Tone.Transport.seconds % 2) / 2; // 0-1 through cycle
+        // Get current cycle progress (0-1 through the cycle heard now)
+        const position = window.scheduler.getCyclePosition();
+        const cycleProgress = position - Math.floor(position);
 
         // Draw cycle progress bar
         ctx.fillStyle = '#00ff88';
@@ -93,9 +94,10 @@ class Visualizer {
         }
 
         // Draw beat markers
+        const beatsPerCycle = window.scheduler.beatsPerCycle;
         ctx.fillStyle = '#00d4ff';
-        for (let i = 0; i < 4; i++) {
-            const x = (i / 4) * width;
+        for (let i = 0; i < beatsPerCycle; i++) {
+            const x = (i / beatsPerCycle) * width;
             ctx.fillRect(x - 1, 0, 2, height - 10);
         }
 
@@ -192,18 +194,13 @@ class Visualizer {
             return;
         }
 
-        // Get current transport time and BPM for synchronization
-        const transportTime = Tone.Transport.seconds;
-        const bpm = Tone.Transport.bpm.value;
-        const beatDuration = 60 / bpm; // Duration of one beat in seconds
-        const cycleDuration = beatDuration * 4; // One cycle = 4 beats
+        // Tempo and cycle position from the scheduler (cps is the source of truth)
+        const bpm = window.scheduler.bpm;
+        const beatsPerCycle = window.scheduler.beatsPerCycle;
         
         // Synchronize to cycle: get phase within current cycle (0-1)
-        const cyclePhase = (transportTime % cycleDuration) / cycleDuration;
-        
-        // Calculate the time window to capture (one beat worth of audio)
-        const timeWindowDuration = beatDuration;
-        const startTime = transportTime - (cyclePhase * cycleDuration) + (cyclePhase * timeWindowDuration);
+        const position = window.scheduler.getCyclePosition();
+        const cyclePhase = position - Math.floor(position);
         
         // Get waveform data - higher resolution for better visualization
         const waveform = this.analyser.getValue();
@@ -232,8 +229,8 @@ class Visualizer {
         // Draw grid lines (beat markers)
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 1;
-        for (let i = 0; i <= 4; i++) {
-            const x = (i / 4) * width;
+        for (let i = 0; i <= beatsPerCycle; i++) {
+            const x = (i / beatsPerCycle) * width;
             ctx.beginPath();
             ctx.moveTo(x, 0);
             ctx.lineTo(x, height);